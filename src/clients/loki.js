@@ -1,44 +1,490 @@
-const { QrynError } = require('../types');
+const { QrynError, QueryResult, StreamsResult } = require('../types');
 const { Stream } = require('../models');
 const Http = require('../services/http');
+const Protobuff = require('../services/protobuff');
+const { logsRequest } = require('../utils/otlp');
+const { LogQuery } = require('../query');
+const { toEpochNanos } = require('../utils/range');
+const EventEmitter = require('events');
+
+const compareNanos = (a, b) => (BigInt(a) < BigInt(b) ? -1 : BigInt(a) > BigInt(b) ? 1 : 0);
+const entryKey = entry => `${JSON.stringify(entry.labels)}\n${entry.line}`;
+
+class Read {
+  constructor(service, options = {}) {
+    this.service = service;
+    this.options = options;
+  }
+
+  /**
+   * Execute a LogQL query at a single point in time.
+   * @param {string|LogQuery|Expression} query - The LogQL query string, or a query built with `logql`.
+   * @param {Object} [params] - Additional query parameters.
+   * @param {number} [params.limit] - The max number of entries to return.
+   * @param {number|string} [params.time] - The evaluation time as a nanosecond Unix epoch or RFC3339 string.
+   * @param {string} [params.direction] - The order of the returned entries, `forward` or `backward`.
+   * @returns {Promise<QueryResult>} A promise that resolves to the parsed result of the query endpoint, a `StreamsResult` for log queries.
+   * @throws {QrynError} If the query request fails.
+   */
+  async query(query, params = {}) {
+    return this.service.request(`/loki/api/v1/query?${this.params({ query, ...params })}`, {
+      method: 'GET',
+      headers: this.headers()
+    }).then(QueryResult.from).catch(error => {
+      if (error instanceof QrynError) {
+        throw error;
+      }
+      throw new QrynError(`Loki query failed: ${error.message}`, error.statusCode);
+    });
+  }
+
+  /**
+   * Execute a LogQL query over a range of time.
+   * @param {string|LogQuery|Expression} query - The LogQL query string, or a query built with `logql`.
+   * @param {number|string} start - The start timestamp as a nanosecond Unix epoch or RFC3339 string.
+   * @param {number|string} end - The end timestamp as a nanosecond Unix epoch or RFC3339 string.
+   * @param {Object} [params] - Additional query parameters.
+   * @param {number} [params.limit] - The max number of entries to return.
+   * @param {string|number} [params.step] - The query resolution step width for metric queries (e.g., '15s').
+   * @param {string} [params.direction] - The order of the returned entries, `forward` or `backward`.
+   * @returns {Promise<QueryResult>} A promise that resolves to the parsed result of the query range endpoint, a `StreamsResult` for log queries.
+   * @throws {QrynError} If the query range request fails.
+   */
+  async queryRange(query, start, end, params = {}) {
+    return this.service.request(`/loki/api/v1/query_range?${this.params({ query, start, end, ...params })}`, {
+      method: 'GET',
+      headers: this.headers()
+    }).then(QueryResult.from).catch(error => {
+      if (error instanceof QrynError) {
+        throw error;
+      }
+      throw new QrynError(`Loki query range failed: ${error.message}`, error.statusCode);
+    });
+  }
+
+  /**
+   * Page through the entries of a LogQL log query over a range of time. Each request returns at most `limit`
+   * entries in `direction` order; the next page continues from the last returned timestamp until the range
+   * is exhausted. Entries at the boundary timestamp are requested again; as many of each stream, timestamp and
+   * line as the previous page returned are skipped, so identical lines logged at the same nanosecond are kept.
+   * Only the boundary timestamp is deduplicated: the server must return the same entries at that timestamp again.
+   * @param {string|LogQuery} query - The LogQL log query string, or a log query built with `logql`.
+   * @param {number|string|Date} start - The start timestamp as a nanosecond Unix epoch, a Date or an RFC3339 string.
+   * @param {number|string|Date} end - The end timestamp as a nanosecond Unix epoch, a Date or an RFC3339 string.
+   * @param {Object} [params] - Additional query parameters.
+   * @param {number} [params.limit=1000] - The max number of entries per page.
+   * @param {string} [params.direction='backward'] - `backward` to page from the end (newest first) or `forward` from the start.
+   * @returns {AsyncGenerator<Object>} The entries as the rows of {@link StreamsResult#toRows}, in `direction` order.
+   * @throws {QrynError} If the range is invalid, the query is not a log query, more than `limit` entries share
+   *   a timestamp or a page request fails.
+   */
+  async *paginate(query, start, end, params = {}) {
+    const { limit = 1000, direction = 'backward', ...rest } = params;
+    const forward = direction === 'forward';
+    let from;
+    let to;
+    try {
+      from = toEpochNanos(start);
+      to = toEpochNanos(end);
+    } catch (error) {
+      throw new QrynError(`Loki pagination failed: ${error.message}`);
+    }
+    let cursor;
+    // How many entries of each key the previous page returned at the cursor timestamp.
+    let boundary = new Map();
+    while (from < to) {
+      const result = await this.queryRange(query, String(from), String(to), { ...rest, limit, direction });
+      if (!(result instanceof StreamsResult)) {
+        throw new QrynError(`Loki pagination failed: expected a log query, got ${result.resultType} result`);
+      }
+      const entries = result.toRows().sort((a, b) => compareNanos(a.nanoseconds, b.nanoseconds) * (forward ? 1 : -1));
+      if (!entries.length) return;
+
+      const last = BigInt(entries[entries.length - 1].nanoseconds);
+      const seen = new Map();
+      let fresh = 0;
+      for (const entry of entries) {
+        const nanoseconds = BigInt(entry.nanoseconds);
+        const key = entryKey(entry);
+        if (nanoseconds === last) seen.set(key, (seen.get(key) || 0) + 1);
+        if (nanoseconds === cursor && boundary.get(key) > 0) {
+          boundary.set(key, boundary.get(key) - 1);
+          continue;
+        }
+        fresh++;
+        yield entry;
+      }
+      boundary = seen;
+      // A short page ends the range.
+      if (entries.length < limit) return;
+      // A full page without new entries means the page cannot move past entries sharing one timestamp.
+      if (!fresh) {
+        throw new QrynError(`Loki pagination failed: ${limit} or more entries share the timestamp ${last}, use a larger limit`);
+      }
+      cursor = last;
+      if (forward) from = last;
+      else to = last + 1n;
+    }
+  }
+
+  /**
+   * Retrieve the list of label names.
+   * @param {number|string} [start] - The start timestamp as a nanosecond Unix epoch or RFC3339 string.
+   * @param {number|string} [end] - The end timestamp as a nanosecond Unix epoch or RFC3339 string.
+   * @returns {Promise<QrynResponse>} A promise that resolves to the response from the labels endpoint.
+   * @throws {QrynError} If the labels request fails.
+   */
+  async labels(start, end) {
+    return this.service.request(`/loki/api/v1/labels?${this.params({ start, end })}`, {
+      method: 'GET',
+      headers: this.headers()
+    }).catch(error => {
+      if (error instanceof QrynError) {
+        throw error;
+      }
+      throw new QrynError(`Loki labels retrieval failed: ${error.message}`, error.statusCode);
+    });
+  }
+
+  /**
+   * Retrieve the list of label values for a specific label name.
+   * @param {string} labelName - The name of the label.
+   * @param {number|string} [start] - The start timestamp as a nanosecond Unix epoch or RFC3339 string.
+   * @param {number|string} [end] - The end timestamp as a nanosecond Unix epoch or RFC3339 string.
+   * @returns {Promise<QrynResponse>} A promise that resolves to the response from the label values endpoint.
+   * @throws {QrynError} If the label values request fails.
+   */
+  async labelValues(labelName, start, end) {
+    return this.service.request(`/loki/api/v1/label/${encodeURIComponent(labelName)}/values?${this.params({ start, end })}`, {
+      method: 'GET',
+      headers: this.headers()
+    }).catch(error => {
+      if (error instanceof QrynError) {
+        throw error;
+      }
+      throw new QrynError(`Loki label values retrieval failed: ${error.message}`, error.statusCode);
+    });
+  }
+
+  /**
+   * Retrieve the list of streams that match the given selectors.
+   * @param {string|string[]} match - The stream selector(s) to match.
+   * @param {number|string} [start] - The start timestamp as a nanosecond Unix epoch or RFC3339 string.
+   * @param {number|string} [end] - The end timestamp as a nanosecond Unix epoch or RFC3339 string.
+   * @returns {Promise<QrynResponse>} A promise that resolves to the response from the series endpoint.
+   * @throws {QrynError} If the series request fails.
+   */
+  async series(match, start, end) {
+    if(!match) throw new QrynError('match parameter is required');
+    if(typeof match === 'string') match = [match];
+    let params = this.params({ start, end });
+    match.forEach(match => params.append('match[]', match));
+
+    return this.service.request(`/loki/api/v1/series?${params}`, {
+      method: 'GET',
+      headers: this.headers()
+    }).catch(error => {
+      if (error instanceof QrynError) {
+        throw error;
+      }
+      throw new QrynError(`Loki series retrieval failed: ${error.message}`, error.statusCode);
+    });
+  }
+
+  /**
+   * Build query string parameters, skipping undefined values.
+   * @private
+   * @param {Object} values - The parameter values.
+   * @returns {URLSearchParams} The query string parameters.
+   */
+  params(values) {
+    let params = new URLSearchParams();
+    for (const [key, value] of Object.entries(values)) {
+      if (value !== undefined && value !== null) params.append(key, value);
+    }
+    return params;
+  }
+
+  headers() {
+    let headers = {
+      'Content-Type': 'application/x-www-form-urlencoded'
+    };
+    if (this.options.orgId) headers['X-Scope-OrgID'] = this.options.orgId;
+    return headers;
+  }
+}
+
+/**
+ * Live tail of a LogQL query over the Loki WebSocket tail endpoint.
+ * Emits `entry` for every received log line, `dropped` for entries the server
+ * could not deliver, `reconnect` before every reconnection attempt and `close`
+ * once the tail is stopped. When the reconnect attempts are exhausted, `error` is
+ * emitted if anything listens for it and pending async iterator reads are rejected.
+ * @extends EventEmitter
+ */
+class Tail extends EventEmitter {
+  #socket = null;
+  #closed = false;
+  #attempt = 0;
+  #lastError = null;
+  #failure = null;
+  #timeoutId = null;
+
+  /**
+   * Create a Tail instance and open the connection.
+   * @param {Http} service - The HTTP service to open the connection with.
+   * @param {string} query - The LogQL query to tail.
+   * @param {Object} [options={}] - The tail options.
+   * @param {number|string} [options.start] - The start timestamp as a nanosecond Unix epoch.
+   * @param {number} [options.limit] - The max number of entries to return on connect.
+   * @param {number} [options.delayFor] - The number of seconds to delay retrieving logs.
+   * @param {string} [options.orgId] - The organization ID to include in the request headers.
+   * @param {number} [options.reconnectAttempts=Infinity] - The number of consecutive reconnect attempts before giving up.
+   * @param {number} [options.reconnectDelay=1000] - The initial delay between reconnect attempts in milliseconds.
+   * @param {number} [options.maxReconnectDelay=30000] - The maximum delay between reconnect attempts in milliseconds.
+   */
+  constructor(service, query, options = {}) {
+    super();
+    this.service = service;
+    this.query = query;
+    this.options = options;
+    this.lastTimestamp = null;
+    this.reconnectAttempts = options.reconnectAttempts ?? Infinity;
+    this.reconnectDelay = options.reconnectDelay || 1000;
+    this.maxReconnectDelay = options.maxReconnectDelay || 30000;
+    this.#connect();
+  }
+
+  /**
+   * Whether the tail has been stopped.
+   * @returns {boolean}
+   */
+  get closed() {
+    return this.#closed;
+  }
+
+  /**
+   * The error the tail gave up with once the reconnect attempts were exhausted.
+   * @returns {QrynError|null}
+   */
+  get error() {
+    return this.#failure;
+  }
+
+  async #connect() {
+    const params = new URLSearchParams({ query: this.query });
+    // Resume right after the last entry we have seen so nothing is replayed.
+    const start = this.lastTimestamp !== null ? (this.lastTimestamp + 1n).toString() : this.options.start;
+    if (start !== undefined) params.append('start', start);
+    if (this.options.limit) params.append('limit', this.options.limit);
+    if (this.options.delayFor) params.append('delay_for', this.options.delayFor);
+
+    let socket;
+    try {
+      socket = await this.service.websocket(`/loki/api/v1/tail?${params}`, { headers: this.headers() });
+    } catch (error) {
+      this.#lastError = error instanceof QrynError ? error : new QrynError(`Loki tail failed: ${error.message}`, null, error, '/loki/api/v1/tail');
+      if (!this.#closed) this.#reconnect();
+      return;
+    }
+    if (this.#closed) {
+      // Closed while the connection was being set up.
+      socket.on('error', () => {});
+      socket.terminate();
+      return;
+    }
+    socket.on('open', () => {
+      this.#attempt = 0;
+      this.#lastError = null;
+      this.emit('open');
+    });
+    socket.on('message', data => this.#handleMessage(data));
+    socket.on('error', error => {
+      this.#lastError = new QrynError(`Loki tail failed: ${error.message}`, null, error, '/loki/api/v1/tail');
+    });
+    socket.on('close', () => this.#reconnect());
+    this.#socket = socket;
+  }
+
+  #handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data.toString());
+    } catch (error) {
+      this.#lastError = new QrynError(`Loki tail returned invalid JSON: ${error.message}`, null, error, '/loki/api/v1/tail');
+      return;
+    }
+    for (const stream of message.streams || []) {
+      for (const [timestamp, line, metadata] of stream.values || []) {
+        const ts = BigInt(timestamp);
+        if (this.lastTimestamp === null || ts > this.lastTimestamp) this.lastTimestamp = ts;
+        this.emit('entry', metadata ? { labels: stream.stream, timestamp, line, metadata } : { labels: stream.stream, timestamp, line });
+      }
+    }
+    if (message.dropped_entries?.length) {
+      this.emit('dropped', message.dropped_entries);
+    }
+  }
+
+  #reconnect() {
+    this.#socket = null;
+    if (this.#closed) {
+      this.emit('close');
+      return;
+    }
+    if (this.#attempt >= this.reconnectAttempts) {
+      this.#closed = true;
+      this.#failure = this.#lastError || new QrynError('Loki tail connection closed', null, null, '/loki/api/v1/tail');
+      if (this.listenerCount('error') > 0) this.emit('error', this.#failure);
+      this.emit('close');
+      return;
+    }
+    const delay = Math.min(this.reconnectDelay * Math.pow(2, this.#attempt), this.maxReconnectDelay);
+    this.#attempt++;
+    this.emit('reconnect', { attempt: this.#attempt, delay, error: this.#lastError });
+    this.#timeoutId = setTimeout(() => this.#connect(), delay);
+  }
+
+  /**
+   * Stop tailing and close the connection.
+   */
+  close() {
+    if (this.#closed) return;
+    this.#closed = true;
+    clearTimeout(this.#timeoutId);
+    if (this.#socket) {
+      this.#socket.terminate();
+    } else {
+      this.emit('close');
+    }
+  }
+
+  [Symbol.asyncIterator]() {
+    const queue = [];
+    const pending = [];
+    let error = this.#failure;
+    let done = this.#closed;
+
+    const onEntry = entry => {
+      if (pending.length) pending.shift().resolve({ value: entry, done: false });
+      else queue.push(entry);
+    };
+    const onClose = () => {
+      done = true;
+      this.off('entry', onEntry);
+      if (this.#failure && pending.length) pending.splice(0).forEach(p => p.reject(this.#failure));
+      else error = this.#failure;
+      pending.splice(0).forEach(p => p.resolve({ value: undefined, done: true }));
+    };
+    if (!done) this.on('entry', onEntry).once('close', onClose);
+
+    return {
+      next: () => {
+        if (queue.length) return Promise.resolve({ value: queue.shift(), done: false });
+        if (error) {
+          const err = error;
+          error = null;
+          return Promise.reject(err);
+        }
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve, reject) => pending.push({ resolve, reject }));
+      },
+      return: () => {
+        this.close();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      }
+    };
+  }
+
+  headers() {
+    const headers = {};
+    if (this.options.orgId) headers['X-Scope-OrgID'] = this.options.orgId;
+    return headers;
+  }
+}
 
 class Loki {
   /**
    * Create a new Loki instance.
    * @param {Http} service - The HTTP service to use for requests.
+   * @param {Object} [options={}] - The client options.
+   * @param {string} [options.protocol='native'] - The push protocol, `native` (Loki push API) or `otlp` (OTLP/HTTP protobuf).
+   * @param {string} [options.encoding='json'] - The Loki push API encoding, `json` or `protobuf` (snappy-compressed PushRequest).
+   * @param {string} [options.orgId] - The default organization ID for pushes, readers and tails.
    */
-  constructor(service) {
+  constructor(service, options = {}) {
     this.service = service;
+    this.orgId = options.orgId;
+    this.protocol = options.protocol || 'native';
+    if (this.protocol !== 'native' && this.protocol !== 'otlp') {
+      throw new QrynError(`Unknown Loki protocol: ${this.protocol}`);
+    }
+    this.encoding = options.encoding || 'json';
+    if (this.encoding !== 'json' && this.encoding !== 'protobuf') {
+      throw new QrynError(`Unknown Loki encoding: ${this.encoding}`);
+    }
+    this.protobufHandler = new Protobuff();
   }
 
   /**
    * Push streams to Loki.
    * @param {Stream[]} streams - An array of Stream instances to push.
    * @param {Object} options - Additional options for the request.
-   * @param {string} options.orgId - The organization ID for the request.
+   * @param {string} [options.orgId] - The organization ID for the request. Defaults to the client's `orgId`.
+   * @param {string} [options.protocol] - Overrides the client push protocol for this request.
+   * @param {string} [options.encoding] - Overrides the client Loki push API encoding for this request.
    * @returns {Promise<Object>} The response from the Loki API.
    * @throws {QrynError} If the push fails or if the input is invalid.
    */
   async push(streams, options = {}) {
-
-    let payload = { streams: []}
-    if (!Array.isArray(streams) || !streams.every(s => {
-        if(s instanceof Stream){
-          if(s.entries.length)
-            payload.streams.push(s.collect())
-            return s;
-        }
-      
-    })) {
+    if (!Array.isArray(streams) || !streams.every(s => s instanceof Stream)) {
       throw new QrynError('Streams must be an array of Stream instances');
     }
+    const protocol = options.protocol || this.protocol;
     const headers = this.headers(options);
-
+    // Collected entries are handed back on any failure, including encoding and compression.
     try {
-      const response = await this.service.request('/loki/api/v1/push', {
+      const collected = streams.filter(s => s.entries.length).map(s => [s, s.collect()]);
+      let path, body;
+      if (protocol === 'otlp') {
+        path = '/v1/logs';
+        headers['Content-Type'] = 'application/x-protobuf';
+        body = this.protobufHandler.encodeLogsRequest(
+          logsRequest(collected.map(([s, data]) => ({ labels: s.labels, entries: data.entries })))
+        );
+      } else if ((options.encoding || this.encoding) === 'protobuf') {
+        path = '/loki/api/v1/push';
+        headers['Content-Type'] = 'application/x-protobuf';
+        headers['Content-Encoding'] = 'snappy';
+        body = await this.protobufHandler.compressBuffer(this.protobufHandler.encodePushRequest({
+          streams: collected.map(([, data]) => ({
+            labels: data.labels,
+            entries: data.entries.map(entry => ({
+              timestamp: this.timestamp(entry.ts),
+              line: String(entry.line),
+              structuredMetadata: Object.entries(entry.metadata || {}).map(([name, value]) => ({ name, value }))
+            }))
+          }))
+        }));
+      } else {
+        path = '/loki/api/v1/push';
+        body = JSON.stringify({
+          streams: collected.map(([s, data]) => ({
+            stream: s.labels,
+            values: data.entries.map(entry => entry.metadata
+              ? [entry.ts, String(entry.line), entry.metadata]
+              : [entry.ts, String(entry.line)])
+          }))
+        });
+      }
+
+      const response = await this.service.request(path, {
         method: 'POST',
         headers,
-        body: JSON.stringify(payload)
+        body
       });
 
       streams.forEach(s => s.confirm());
@@ -52,9 +498,62 @@ class Loki {
     }
   }
 
+  /**
+   * Convert an entry timestamp to a protobuf Timestamp.
+   * @private
+   * @param {string} ts - The entry timestamp in nanoseconds.
+   * @returns {{seconds: string, nanos: number}} The protobuf Timestamp.
+   */
+  timestamp(ts) {
+    const nanos = BigInt(ts);
+    return { seconds: (nanos / 1000000000n).toString(), nanos: Number(nanos % 1000000000n) };
+  }
+
+  /**
+  * Create a new Read instance for reading logs from Loki.
+  * @param {Object} options - Options for the read operation.
+  * @param {string} [options.orgId] - The organization ID to include in the request headers. Defaults to the client's `orgId`.
+  * @returns {Read} A new Read instance.
+  */
+  createReader(options) {
+    return new Read(this.service, { orgId: this.orgId, ...options });
+  }
+
+  /**
+   * Tail a LogQL query over a WebSocket connection.
+   * The connection is re-established automatically and resumes from the last seen entry.
+   * @param {string|LogQuery} query - The LogQL query to tail, or a log query built with `logql`.
+   * @param {Object} [options] - Options for the tail, see {@link Tail}.
+   * @param {number|string} [options.start] - The start timestamp as a nanosecond Unix epoch.
+   * @param {number} [options.limit] - The max number of entries to return on connect.
+   * @param {number} [options.delayFor] - The number of seconds to delay retrieving logs.
+   * @param {string} [options.orgId] - The organization ID to include in the request headers. Defaults to the client's `orgId`.
+   * @returns {Tail} The tail, usable as an EventEmitter or async iterator.
+   */
+  tail(query, options = {}) {
+    if (query instanceof LogQuery) query = query.toString();
+    if (typeof query !== 'string' || !query) {
+      throw new QrynError('query must be a non-empty string');
+    }
+    return new Tail(this.service, query, { orgId: this.orgId, ...options });
+  }
+
+  /**
+   * Create a view of the client that pushes and reads as another tenant. The view shares the settings and
+   * protobuf handler of the client and only overrides the tenant.
+   * @param {string} orgId - The organization ID.
+   * @returns {Loki} The client for the tenant.
+   */
+  forTenant(orgId) {
+    const client = Object.create(this);
+    client.orgId = orgId;
+    return client;
+  }
+
   headers(options = {}) {
     const headers = {};
-    if (options.orgId) headers['X-Scope-OrgID'] = options.orgId;
+    const orgId = options.orgId || this.orgId;
+    if (orgId) headers['X-Scope-OrgID'] = orgId;
     if (options.async) headers['X-Async-Insert'] = options.async;
     if (options.fpLimit) headers['X-Ttl-Days'] = options.fpLimit;
     if (options.ttlDays) headers['X-FP-LIMIT'] = options.ttlDays;
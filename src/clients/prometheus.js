@@ -2,27 +2,40 @@ const Http = require('../services/http')
 const Protobuff = require('../services/protobuff')
 const path = require('path');
 const {Metric} = require('../models')
-const {QrynError} = require('../types');
+const {QrynError, QueryResult, MatrixResult} = require('../types');
+const {metricsRequest} = require('../utils/otlp');
+const {writeRequest, writeRequestV2} = require('../utils/remote');
+const {toSeconds, toEpochSeconds, splitRange, mapConcurrent} = require('../utils/range');
 
+const REMOTE_WRITE_VERSIONS = ['1.0', '2.0'];
+
+
+const MATCHER_TYPES = {
+  '=': 'EQ',
+  '!=': 'NEQ',
+  '=~': 'RE',
+  '!~': 'NRE'
+};
 
 class Read {
-  constructor(service, options) {
+  constructor(service, options = {}, protobufHandler = new Protobuff()) {
     this.service = service;
     this.options = options;
+    this.protobufHandler = protobufHandler;
   }
 
   /**
    * Execute a PromQL query and retrieve the result.
-   * @param {string} query - The PromQL query string.
-   * @returns {Promise<QrynResponse>} A promise that resolves to the response from the query endpoint.
+   * @param {string|Expression} query - The PromQL query string, or a query built with `promql`.
+   * @returns {Promise<QueryResult>} A promise that resolves to the parsed result of the query endpoint, such as a `VectorResult`.
    * @throws {QrynError} If the query request fails.
    */
   async query(query) {
     return this.service.request('/api/v1/query', {
       method: 'POST',
       headers: this.headers(),
-      body: { query }
-    }).catch(error => {
+      body: new URLSearchParams({ query: String(query) })
+    }).then(QueryResult.from).catch(error => {
       if (error instanceof QrynError) {
         throw error;
       }
@@ -32,11 +45,11 @@ class Read {
 
   /**
    * Execute a PromQL query over a range of time.
-   * @param {string} query - The PromQL query string.
+   * @param {string|Expression} query - The PromQL query string, or a query built with `promql`.
    * @param {number} start - The start timestamp in seconds.
    * @param {number} end - The end timestamp in seconds.
    * @param {string} step - The query resolution step width in duration format (e.g., '15s').
-   * @returns {Promise<QrynResponse>} A promise that resolves to the response from the query range endpoint.
+   * @returns {Promise<QueryResult>} A promise that resolves to the parsed result of the query range endpoint, such as a `MatrixResult`.
    * @throws {QrynError} If the query range request fails.
    */
   async queryRange(query, start, end, step) {
@@ -44,8 +57,8 @@ class Read {
     return this.service.request('/api/v1/query_range', {
       method: 'POST',
       headers: this.headers(),
-      body: new URLSearchParams({query, start, end, step})
-    }).catch(error => {
+      body: new URLSearchParams({query: String(query), start, end, step})
+    }).then(QueryResult.from).catch(error => {
       if (error instanceof QrynError) {
         throw error;
       }
@@ -53,6 +66,49 @@ class Read {
     });
   }
 
+  /**
+   * Execute a PromQL query over a long range of time as several smaller range queries, yielding the result
+   * of each chunk in time order. Chunks are aligned to the step, so the samples match a single query.
+   * @param {string|Expression} query - The PromQL query string, or a query built with `promql`.
+   * @param {number|string|Date} start - The start timestamp in seconds, as a Date or an RFC3339 string.
+   * @param {number|string|Date} end - The end timestamp in seconds, as a Date or an RFC3339 string.
+   * @param {string|number} step - The query resolution step width in duration format (e.g., '15s') or seconds.
+   * @param {Object} [options] - The chunking options.
+   * @param {string|number} [options.chunkSize='1d'] - The maximum time range of a chunk, rounded down to whole steps.
+   * @param {number} [options.concurrency=4] - The maximum number of chunk requests in flight.
+   * @returns {AsyncGenerator<MatrixResult>} The chunk results.
+   * @throws {QrynError} If the range is invalid or a chunk request fails.
+   */
+  async *queryRangeChunks(query, start, end, step, options = {}) {
+    const {chunkSize = '1d', concurrency = 4} = options;
+    let chunks;
+    try {
+      chunks = splitRange(toEpochSeconds(start), toEpochSeconds(end), toSeconds(step), toSeconds(chunkSize));
+    } catch (error) {
+      throw new QrynError(`Prometheus chunked query range failed: ${error.message}`);
+    }
+    yield* mapConcurrent(chunks, concurrency, chunk => this.queryRange(query, chunk.start, chunk.end, step));
+  }
+
+  /**
+   * Execute a PromQL query over a long range of time in chunks, see {@link Read#queryRangeChunks},
+   * and merge the chunk results by series.
+   * @param {string|Expression} query - The PromQL query string, or a query built with `promql`.
+   * @param {number|string|Date} start - The start timestamp in seconds, as a Date or an RFC3339 string.
+   * @param {number|string|Date} end - The end timestamp in seconds, as a Date or an RFC3339 string.
+   * @param {string|number} step - The query resolution step width in duration format (e.g., '15s') or seconds.
+   * @param {Object} [options] - The chunking options, `chunkSize` and `concurrency`.
+   * @returns {Promise<MatrixResult>} A promise that resolves to the merged result.
+   * @throws {QrynError} If the range is invalid or a chunk request fails.
+   */
+  async queryRangeChunked(query, start, end, step, options = {}) {
+    const results = [];
+    for await (const result of this.queryRangeChunks(query, start, end, step, options)) {
+      results.push(result);
+    }
+    return MatrixResult.merge(results);
+  }
+
   /**
    * Retrieve the list of label names.
    * @returns {Promise<QrynResponse>} A promise that resolves to the response from the labels endpoint.
@@ -131,6 +187,76 @@ class Read {
     });
   }
 
+  /**
+   * Read raw samples through the Prometheus remote read endpoint.
+   * @param {Object} params - The remote read query.
+   * @param {number} params.start - The start timestamp in milliseconds.
+   * @param {number} params.end - The end timestamp in milliseconds.
+   * @param {Object|Array<{name: string, value: string, type?: string}>} params.matchers - The label matchers, either
+   *   an object of equality matchers or an array of matchers with a type of `=`, `!=`, `=~` or `!~`.
+   * @param {Object} [params.hints] - Optional read hints (`stepMs`, `func`, `startMs`, `endMs`).
+   * @param {string} [params.path='/api/v1/prom/remote/read'] - The remote read endpoint.
+   * @returns {Promise<Metric[]>} A promise that resolves to the matching series with their samples.
+   * @throws {QrynError} If the matchers are invalid or the remote read request fails.
+   */
+  async remoteRead({ start, end, matchers, hints, path = '/api/v1/prom/remote/read' }) {
+    if (typeof start !== 'number' || typeof end !== 'number') {
+      throw new QrynError('start and end must be numbers');
+    }
+    if (!matchers) throw new QrynError('matchers parameter is required');
+    if (!Array.isArray(matchers)) {
+      matchers = Object.entries(matchers).map(([name, value]) => ({ name, value }));
+    }
+    const labelMatchers = matchers.map(({ name, value, type = '=' }) => {
+      if (!MATCHER_TYPES[type]) throw new QrynError(`Unknown matcher type: ${type}`);
+      return { name, value: String(value), type: MATCHER_TYPES[type] };
+    });
+
+    const buffer = this.protobufHandler.encodeReadRequest({
+      queries: [{ startTimestampMs: start, endTimestampMs: end, matchers: labelMatchers, hints }]
+    });
+    const compressedBuffer = await this.protobufHandler.compressBuffer(buffer);
+
+    const res = await this.service.request(path, {
+      method: 'POST',
+      headers: this.remoteReadHeaders(),
+      body: compressedBuffer,
+      responseType: 'buffer'
+    }).catch(error => {
+      if (error instanceof QrynError) {
+        throw error;
+      }
+      throw new QrynError(`Prometheus remote read failed: ${error.message}`, error.statusCode);
+    });
+
+    const readResponse = this.protobufHandler.decodeReadResponse(
+      await this.protobufHandler.decompressBuffer(res.response)
+    );
+    return readResponse.results.flatMap(result => result.timeseries.map(series => {
+      let name = '';
+      const labels = {};
+      for (const label of series.labels) {
+        if (label.name === '__name__') name = label.value;
+        else labels[label.name] = label.value;
+      }
+      // Series come from the server as stored, with `__`-prefixed labels or without a name.
+      const metric = new Metric(name, labels, { labelValidation: 'none' });
+      series.samples.forEach(sample => metric.addSample(sample.value, sample.timestamp));
+      return metric;
+    }));
+  }
+
+  remoteReadHeaders() {
+    let headers = {
+      'Content-Type': 'application/x-protobuf',
+      'Content-Encoding': 'snappy',
+      'Accept-Encoding': 'snappy',
+      'X-Prometheus-Remote-Read-Version': '0.1.0'
+    };
+    if (this.options.orgId) headers['X-Scope-OrgID'] = this.options.orgId;
+    return headers;
+  }
+
   headers() {
     let headers = {
       'Content-Type': 'application/x-www-form-urlencoded'
@@ -144,43 +270,67 @@ class Prometheus {
   /**
    * Create a new PrometheusRemoteWrite instance.
    * @param {Http} service - The HTTP service for making requests.
+   * @param {Object} [options={}] - The client options.
+   * @param {string} [options.protocol='native'] - The push protocol, `native` (remote write) or `otlp` (OTLP/HTTP protobuf).
+   * @param {string} [options.remoteWriteVersion='1.0'] - The remote write message format, `1.0` or `2.0` (symbol table).
+   * @param {string} [options.orgId] - The default organization ID for pushes and readers.
    */
-  constructor(service) {
+  constructor(service, options = {}) {
     this.service = service;
+    this.orgId = options.orgId;
+    this.protocol = options.protocol || 'native';
+    if (this.protocol !== 'native' && this.protocol !== 'otlp') {
+      throw new QrynError(`Unknown Prometheus protocol: ${this.protocol}`);
+    }
+    this.remoteWriteVersion = options.remoteWriteVersion || '1.0';
+    if (!REMOTE_WRITE_VERSIONS.includes(this.remoteWriteVersion)) {
+      throw new QrynError(`Unknown remote write version: ${this.remoteWriteVersion}`);
+    }
     this.protobufHandler = new Protobuff();
   }
 
   /**
    * Push metrics to Prometheus remote write endpoint.
+   * Remote write carries the samples, exemplars, native histograms and metadata of the metrics;
+   * OTLP carries the samples only.
    * @param {Metric[]} metrics - An array of Metric instances to push.
    * @param {Object} options - Additional options for the push request.
-   * @param {string} [options.orgId] - The organization ID to include in the request headers.
+   * @param {string} [options.orgId] - The organization ID to include in the request headers. Defaults to the client's `orgId`.
+   * @param {string} [options.protocol] - Overrides the client push protocol for this request.
+   * @param {string} [options.remoteWriteVersion] - Overrides the client remote write version for this request.
    * @returns {Promise<Object>} A promise that resolves to the response from the remote write endpoint.
    * @throws {QrynError} If the metrics are not an array of Metric instances or if the push request fails.
    */
-  async push(metrics, options) {
-    let timeseries = [];
-    if (!Array.isArray(metrics) || !metrics.every(m => {
-        if(m instanceof Metric){
-          if(m.samples.length)
-            timeseries.push(m.collect())
-            return m;
-        }
-      
-    })) {
+  async push(metrics, options = {}) {
+    if (!Array.isArray(metrics) || !metrics.every(m => m instanceof Metric)) {
       throw new QrynError('Metrics must be an array of Metric instances');
     }
-    if(!timeseries.length) return;
-    //const timeseries = metrics.map(metric => metric.collect());
-    const writeRequest = { timeseries };
-
-    const buffer = this.protobufHandler.encodeWriteRequest(writeRequest);
-    const compressedBuffer = await this.protobufHandler.compressBuffer(buffer);
+    const protocol = options.protocol || this.protocol;
+    const version = options.remoteWriteVersion || this.remoteWriteVersion;
+    let path, body;
+    try {
+      const timeseries = metrics.filter(m => !m.isEmpty).map(m => ({ ...m.collect(), metadata: m.metadata }));
+      if(!timeseries.length) return;
+      if (protocol === 'otlp') {
+        path = '/v1/metrics';
+        body = this.protobufHandler.encodeMetricsRequest(metricsRequest(timeseries));
+      } else {
+        const buffer = version === '2.0'
+          ? this.protobufHandler.encodeWriteRequestV2(writeRequestV2(timeseries))
+          : this.protobufHandler.encodeWriteRequest(writeRequest(timeseries));
+        path = '/api/v1/prom/remote/write';
+        body = await this.protobufHandler.compressBuffer(buffer);
+      }
+    } catch (error) {
+      // Hand collected samples back, so a failing aggregation or encoding doesn't drop them.
+      metrics.forEach(metric => metric.undo());
+      throw new QrynError(`Prometheus Remote Write push failed: ${error.message}`);
+    }
 
-    return this.service.request('/api/v1/prom/remote/write', {
+    return this.service.request(path, {
       method: 'POST',
-      headers: this.headers(options),
-      body: compressedBuffer
+      headers: this.headers(options, protocol, version),
+      body
     }).then(res => {
       metrics.forEach(metric => metric.confirm());
       return res;
@@ -195,20 +345,39 @@ class Prometheus {
   /**
   * Create a new Read instance for reading metrics from Prometheus.
   * @param {Object} options - Options for the read operation.
-  * @param {string} [options.orgId] - The organization ID to include in the request headers.
+  * @param {string} [options.orgId] - The organization ID to include in the request headers. Defaults to the client's `orgId`.
   * @returns {Read} A new Read instance.
   */
   createReader(options) {
-    return new Read(this.service, options);
+    return new Read(this.service, { orgId: this.orgId, ...options }, this.protobufHandler);
   }
 
-  headers(options = {}) {
-    let headers = {
+  /**
+   * Create a view of the client that pushes and reads as another tenant. The view shares the settings and
+   * protobuf handler of the client and only overrides the tenant.
+   * @param {string} orgId - The organization ID.
+   * @returns {Prometheus} The client for the tenant.
+   */
+  forTenant(orgId) {
+    const client = Object.create(this);
+    client.orgId = orgId;
+    return client;
+  }
+
+  headers(options = {}, protocol = this.protocol, version = this.remoteWriteVersion) {
+    let headers = protocol === 'otlp' ? {
+      'Content-Type': 'application/x-protobuf'
+    } : version === '2.0' ? {
+      'Content-Type': 'application/x-protobuf;proto=io.prometheus.write.v2.Request',
+      'Content-Encoding': 'snappy',
+      'X-Prometheus-Remote-Write-Version': '2.0.0'
+    } : {
       'Content-Type': 'application/x-protobuf',
       'Content-Encoding': 'snappy',
       'X-Prometheus-Remote-Write-Version': '0.1.0'
     };
-    if (options.orgId) headers['X-Scope-OrgID'] = options.orgId;
+    const orgId = options.orgId || this.orgId;
+    if (orgId) headers['X-Scope-OrgID'] = orgId;
     if (options.async) headers['X-Async-Insert'] = options.async;
     if (options.fpLimit) headers['X-Ttl-Days'] = options.fpLimit;
     if (options.ttlDays) headers['X-FP-LIMIT'] = options.ttlDays;
@@ -1,40 +1,365 @@
-const {QrynError} = require("../types");
+const {QrynError, QrynResponse, QueryResult} = require("../types");
+const {Trace} = require("../models");
+const Protobuff = require("../services/protobuff");
+const {tracesRequest} = require("../utils/otlp");
+const {toEpochSeconds} = require("../utils/range");
+
+const TRACE_ID = /^[0-9a-fA-F]{1,32}$/;
+
+// Tempo takes tags in logfmt, e.g. `service.name=api http.status_code=500`.
+const logfmt = tags => Object.entries(tags).map(([key, value]) => {
+    const text = String(value);
+    return `${key}=${text === '' || /[\s"=]/.test(text) ? JSON.stringify(text) : text}`;
+}).join(' ');
+
+class Read {
+    /**
+     * @param {Http} service - The HTTP service to use for requests.
+     * @param {Object} [options={}] - The read options.
+     * @param {string} [options.orgId] - The organization ID to include in the request headers.
+     * @param {Protobuff} [protobufHandler] - The protobuf handler, shared with the client to load the protos once.
+     */
+    constructor(service, options = {}, protobufHandler = new Protobuff()) {
+        this.service = service;
+        this.options = options;
+        this.protobufHandler = protobufHandler;
+    }
+
+    /**
+     * Search for traces with TraceQL or tags.
+     * @param {Object|string|URLSearchParams} [params={}] - The search parameters, or a prebuilt query string.
+     * @param {string} [params.q] - A TraceQL query, e.g. `{ resource.service.name = "api" && duration > 1s }`.
+     * @param {Object|string} [params.tags] - Tags to match, as an object or a logfmt string.
+     * @param {string|number} [params.minDuration] - The minimum trace duration, e.g. `100ms`; numbers are milliseconds.
+     * @param {string|number} [params.maxDuration] - The maximum trace duration, e.g. `5s`; numbers are milliseconds.
+     * @param {number|string|Date} [params.start] - The start timestamp in seconds, as a Date or an RFC3339 string.
+     * @param {number|string|Date} [params.end] - The end timestamp in seconds, as a Date or an RFC3339 string.
+     * @param {number} [params.limit] - The max number of traces to return.
+     * @param {number} [params.spss] - The max number of spans per span set.
+     * @returns {Promise<TraceSearchResult>} A promise that resolves to the matching traces.
+     * @throws {QrynError} If the parameters are invalid or the search request fails.
+     */
+    async search(params = {}) {
+        const query = typeof params === 'string' || params instanceof URLSearchParams ? params : this.params({
+            q: params.q === undefined ? undefined : String(params.q),
+            tags: params.tags && typeof params.tags === 'object' ? logfmt(params.tags) : params.tags,
+            minDuration: typeof params.minDuration === 'number' ? `${params.minDuration}ms` : params.minDuration,
+            maxDuration: typeof params.maxDuration === 'number' ? `${params.maxDuration}ms` : params.maxDuration,
+            start: this.seconds(params.start),
+            end: this.seconds(params.end),
+            limit: params.limit,
+            spss: params.spss
+        });
+        return this.service.request(`/api/search?${query}`, {
+            method: 'GET',
+            headers: this.headers()
+        }).then(QueryResult.from).catch(error => {
+            if (error instanceof QrynError) {
+                throw error;
+            }
+            throw new QrynError(`Tempo search failed: ${error.message}`, error.statusCode);
+        });
+    }
+
+    /**
+     * Retrieve the names of the tags that can be searched.
+     * @param {Object} [params={}] - The query parameters.
+     * @param {number|string|Date} [params.start] - The start timestamp in seconds, as a Date or an RFC3339 string.
+     * @param {number|string|Date} [params.end] - The end timestamp in seconds, as a Date or an RFC3339 string.
+     * @returns {Promise<QrynResponse>} A promise that resolves to the response from the tags endpoint, `{ tagNames }`.
+     * @throws {QrynError} If the tags request fails.
+     */
+    async tags(params = {}) {
+        return this.service.request(`/api/search/tags?${this.params({
+            start: this.seconds(params.start),
+            end: this.seconds(params.end)
+        })}`, {
+            method: 'GET',
+            headers: this.headers()
+        }).catch(error => {
+            if (error instanceof QrynError) {
+                throw error;
+            }
+            throw new QrynError(`Tempo tags retrieval failed: ${error.message}`, error.statusCode);
+        });
+    }
+
+    /**
+     * Retrieve the values of a tag.
+     * @param {string} tag - The tag name, e.g. `service.name`.
+     * @param {Object} [params={}] - The query parameters.
+     * @param {number|string|Date} [params.start] - The start timestamp in seconds, as a Date or an RFC3339 string.
+     * @param {number|string|Date} [params.end] - The end timestamp in seconds, as a Date or an RFC3339 string.
+     * @returns {Promise<QrynResponse>} A promise that resolves to the response from the tag values endpoint, `{ tagValues }`.
+     * @throws {QrynError} If the tag values request fails.
+     */
+    async tagValues(tag, params = {}) {
+        return this.service.request(`/api/search/tag/${encodeURIComponent(tag)}/values?${this.params({
+            start: this.seconds(params.start),
+            end: this.seconds(params.end)
+        })}`, {
+            method: 'GET',
+            headers: this.headers()
+        }).catch(error => {
+            if (error instanceof QrynError) {
+                throw error;
+            }
+            throw new QrynError(`Tempo tag values retrieval failed: ${error.message}`, error.statusCode);
+        });
+    }
+
+    /**
+     * Retrieve the typed values of a TraceQL attribute, optionally filtered by a TraceQL query.
+     * @param {string} tag - The scoped attribute name, e.g. `resource.service.name` or `span.http.method`.
+     * @param {Object|string|URLSearchParams} [params={}] - The query parameters, or a prebuilt query string.
+     * @param {string} [params.q] - A TraceQL query to filter the values, e.g. `{ span.http.status_code = 500 }`.
+     * @param {number|string|Date} [params.start] - The start timestamp in seconds, as a Date or an RFC3339 string.
+     * @param {number|string|Date} [params.end] - The end timestamp in seconds, as a Date or an RFC3339 string.
+     * @returns {Promise<QrynResponse>} A promise that resolves to the response, `{ tagValues: [{ type, value }] }`.
+     * @throws {QrynError} If the tag values request fails.
+     */
+    async tagValuesV2(tag, params = {}) {
+        const query = typeof params === 'string' || params instanceof URLSearchParams ? params : this.params({
+            q: params.q === undefined ? undefined : String(params.q),
+            start: this.seconds(params.start),
+            end: this.seconds(params.end)
+        });
+        return this.service.request(`/api/v2/search/tag/${encodeURIComponent(tag)}/values?${query}`, {
+            method: 'GET',
+            headers: this.headers()
+        }).catch(error => {
+            if (error instanceof QrynError) {
+                throw error;
+            }
+            throw new QrynError(`Tempo tag values retrieval failed: ${error.message}`, error.statusCode);
+        });
+    }
+
+    /**
+     * Retrieve a trace by its ID.
+     * @param {string} traceId - The trace ID, in hex.
+     * @param {Object} [options={}] - The request options.
+     * @param {string} [options.format='json'] - The response encoding, `json` or `protobuf`.
+     * @param {number|string|Date} [options.start] - The start of the time range to search, in seconds, as a Date or an RFC3339 string.
+     * @param {number|string|Date} [options.end] - The end of the time range to search, in seconds, as a Date or an RFC3339 string.
+     * @returns {Promise<TraceResult>} A promise that resolves to the trace.
+     * @throws {QrynError} If the trace ID or format is invalid, or the trace request fails, with status 404 if the trace is not found.
+     */
+    async getTrace(traceId, options = {}) {
+        const format = options.format || 'json';
+        if (format !== 'json' && format !== 'protobuf') {
+            throw new QrynError(`Unknown trace format: ${format}`);
+        }
+        if (typeof traceId !== 'string' || !TRACE_ID.test(traceId)) {
+            throw new QrynError(`Invalid trace ID: ${traceId}`);
+        }
+        const path = `/api/traces/${traceId.toLowerCase()}?${this.params({
+            start: this.seconds(options.start),
+            end: this.seconds(options.end)
+        })}`;
+        const request = format === 'protobuf'
+            ? this.service.request(path, {
+                method: 'GET',
+                headers: this.headers('application/protobuf'),
+                responseType: 'buffer'
+            }).then(res => new QrynResponse(this.protobufHandler.decodeTrace(res.response), res.status, res.headers, res.path))
+            : this.service.request(path, {
+                method: 'GET',
+                headers: this.headers()
+            });
+        return request.then(QueryResult.from).catch(error => {
+            if (error instanceof QrynError) {
+                throw error;
+            }
+            throw new QrynError(`Tempo trace retrieval failed: ${error.message}`, error.statusCode);
+        });
+    }
+
+    /**
+     * Build query string parameters, skipping undefined values.
+     * @private
+     * @param {Object} values - The parameter values.
+     * @returns {URLSearchParams} The query string parameters.
+     */
+    params(values) {
+        let params = new URLSearchParams();
+        for (const [key, value] of Object.entries(values)) {
+            if (value !== undefined && value !== null) params.append(key, value);
+        }
+        return params;
+    }
+
+    /**
+     * Convert a timestamp parameter to whole seconds.
+     * @private
+     * @param {number|string|Date} [timestamp] - The timestamp.
+     * @returns {number|undefined} The timestamp in seconds.
+     * @throws {QrynError} If the timestamp is invalid.
+     */
+    seconds(timestamp) {
+        if (timestamp === undefined || timestamp === null) return undefined;
+        try {
+            return Math.floor(toEpochSeconds(timestamp));
+        } catch (error) {
+            throw new QrynError(error.message);
+        }
+    }
+
+    headers(accept = 'application/json') {
+        let headers = {
+            'Accept': accept
+        };
+        if (this.options.orgId) headers['X-Scope-OrgID'] = this.options.orgId;
+        return headers;
+    }
+}
 
 class TempoClient {
     /**
      * Create a new Tempo instance.
      * @param {Http} service - The HTTP service to use for requests.
+     * @param {Object} [options={}] - The client options.
+     * @param {string} [options.protocol='native'] - The push protocol, `native` (JSON in the requested format) or `otlp` (OTLP/HTTP protobuf).
+     * @param {string} [options.orgId] - The default organization ID for pushes and readers.
      */
-    constructor(service) {
+    constructor(service, options = {}) {
         this.service = service;
+        this.orgId = options.orgId;
+        this.protocol = options.protocol || 'native';
+        if (this.protocol !== 'native' && this.protocol !== 'otlp') {
+            throw new QrynError(`Unknown Tempo protocol: ${this.protocol}`);
+        }
+        this.protobufHandler = new Protobuff();
+    }
+
+    /**
+     * Push traces to Tempo.
+     * @param {Trace[]} traces - An array of Trace instances to push.
+     * @param {Object} [options={}] - Additional options for the request.
+     * @param {string} [options.format='otlp'] - The JSON wire format for the `native` protocol, `otlp` (OTLP/HTTP JSON) or `zipkin` (Zipkin v2 JSON).
+     * @param {string} [options.protocol] - Overrides the client push protocol for this request.
+     * @param {string} [options.orgId] - The organization ID for the request. Defaults to the client's `orgId`.
+     * @returns {Promise<QrynResponse>} The response from the Tempo API.
+     * @throws {QrynError} If the push fails or if the input is invalid.
+     */
+    async push(traces, options = {}) {
+        const format = options.format || 'otlp';
+        if (format !== 'otlp' && format !== 'zipkin') {
+            throw new QrynError(`Unknown trace format: ${format}`);
+        }
+        if (!Array.isArray(traces) || !traces.every(t => t instanceof Trace)) {
+            throw new QrynError('Traces must be an array of Trace instances');
+        }
+
+        const protocol = options.protocol || this.protocol;
+        const headers = this.headers(options);
+        // Collected spans are handed back on any failure, including encoding.
+        try {
+            const spans = traces.filter(t => t.spans.length).flatMap(t => t.collect());
+            if (!spans.length) return;
+            let path, body;
+            if (protocol === 'otlp') {
+                path = '/v1/traces';
+                headers['Content-Type'] = 'application/x-protobuf';
+                body = this.protobufHandler.encodeTraceRequest(tracesRequest(spans));
+            } else if (format === 'zipkin') {
+                path = '/tempo/api/push';
+                body = JSON.stringify(spans.map(span => span.toZipkin()));
+            } else {
+                path = '/v1/traces';
+                body = JSON.stringify(tracesRequest(spans));
+            }
+
+            const res = await this.service.request(path, {
+                method: 'POST',
+                headers,
+                body
+            });
+            traces.forEach(t => t.confirm());
+            return res;
+        } catch (error) {
+            traces.forEach(t => t.undo());
+            if (error instanceof QrynError) {
+                throw error;
+            }
+            throw new QrynError(`Tempo push failed: ${error.message}`, error.statusCode);
+        }
+    }
+
+    /**
+     * Search for traces, see {@link Read#search}.
+     * @param {Object|string|URLSearchParams} [searchParams] - The search parameters, or a prebuilt query string.
+     * @param {Object} [options={}] - The read options.
+     * @param {string} [options.orgId] - The organization ID to include in the request headers.
+     * @returns {Promise<TraceSearchResult>} The matching traces.
+     * @throws {QrynError} If the search request fails.
+     */
+    async search(searchParams, options = {}) {
+        return this.createReader(options).search(searchParams);
+    }
+
+    /**
+     * Retrieve the typed values of a TraceQL attribute, see {@link Read#tagValuesV2}.
+     * @param {string} tagName - The scoped attribute name.
+     * @param {Object|string|URLSearchParams} [searchParams] - The query parameters, or a prebuilt query string.
+     * @param {Object} [options={}] - The read options.
+     * @param {string} [options.orgId] - The organization ID to include in the request headers.
+     * @returns {Promise<QrynResponse>} The tag values.
+     * @throws {QrynError} If the tag values request fails.
+     */
+    async searchTagValuesV2(tagName, searchParams, options = {}) {
+        return this.createReader(options).tagValuesV2(tagName, searchParams);
     }
 
-    async search(searchParams) {
-        return this.service.request(`/api/search?${searchParams ? searchParams : ''}`, {
-            method: 'GET'
+    /**
+     * Retrieve the spans of a trace from qryn's JSON trace endpoint.
+     * @param {string} traceID - The trace ID, in hex.
+     * @param {Object} [options={}] - The read options.
+     * @param {string} [options.orgId] - The organization ID to include in the request headers.
+     * @returns {Promise<QrynResponse>} The spans of the trace.
+     * @throws {QrynError} If the trace request fails.
+     */
+    async getTraceSpansJson(traceID, options = {}) {
+        return this.service.request(`/api/traces/${encodeURIComponent(traceID)}/json`, {
+            method: 'GET',
+            headers: this.headers(options)
         }).catch(error => {
-            console.error('ERROR:', error)
+            if (error instanceof QrynError) {
+                throw error;
+            }
+            throw new QrynError(`Tempo trace retrieval failed: ${error.message}`, error.statusCode);
         });
     }
 
-    async searchTagValuesV2(tagName, searchParams) {
-        return this.service.request(`/api/v2/search/tag/${tagName}/values?${searchParams ? searchParams : ''}`, {
-            method: 'GET'
-        })
+    /**
+     * Create a new Read instance for searching and reading traces from Tempo.
+     * @param {Object} [options] - Options for the read operation.
+     * @param {string} [options.orgId] - The organization ID to include in the request headers. Defaults to the client's `orgId`.
+     * @returns {Read} A new Read instance.
+     */
+    createReader(options) {
+        return new Read(this.service, { orgId: this.orgId, ...options }, this.protobufHandler);
     }
 
-    async getTraceSpansJson(traceID) {
-        return this.service.request(`/api/traces/${traceID}/json`, {
-            method: 'GET'
-        })
+    /**
+     * Create a view of the client that pushes and reads as another tenant. The view shares the settings and
+     * protobuf handler of the client and only overrides the tenant.
+     * @param {string} orgId - The organization ID.
+     * @returns {TempoClient} The client for the tenant.
+     */
+    forTenant(orgId) {
+        const client = Object.create(this);
+        client.orgId = orgId;
+        return client;
     }
 
-    headers(options) {
+    headers(options = {}) {
         let headers = {
             'Content-Type': 'application/json',
             'Accept': 'application/json'
         };
-        if (options.orgId) headers['X-Scope-OrgID'] = options.orgId;
+        const orgId = options.orgId || this.orgId;
+        if (orgId) headers['X-Scope-OrgID'] = orgId;
         return headers;
     }
 }
@@ -1,9 +1,26 @@
-const {Stream, Metric} = require('./models')
+const {Stream, Metric, Span, Trace, Counter, Gauge, Histogram, Summary} = require('./models')
 const PrometheusClient = require('./clients/prometheus')
 const Collector = require('./utils/collector');
 const LokiClient = require('./clients/loki')
 const TempoClient = require('./clients/tempo')
 const Http = require('./services/http')
+const {
+  QrynError,
+  ValidationError,
+  QrynResponse,
+  QueryResult,
+  VectorResult,
+  MatrixResult,
+  ScalarResult,
+  StringResult,
+  StreamsResult,
+  TraceSearchResult,
+  TraceResult
+} = require('./types')
+const RetryPolicy = require('./services/retry')
+const { AuthProvider, BasicAuth, BearerAuth, ApiKeyAuth, TokenAuth } = require('./services/auth')
+const { createPinoDestination, WinstonTransport, patchConsole } = require('./loggers')
+const { promql, logql } = require('./query')
 
 
 
@@ -22,10 +39,29 @@ class QrynClient {
   /**
    * Create a QrynClient.
    * @param {Object} config - The configuration object.
-   * @param {string} [config.baseUrl='http://localhost:3100'] - The base URL for the qryn server.
-   * @param {Auth} [config.auth] - The base Auth for the qryn server.
+   * @param {string|string[]} [config.baseUrl='http://localhost:3100'] - The base URL for the qryn server, or several for HA.
+   * @param {string} [config.strategy='failover'] - How to use multiple base URLs: `failover`, `round-robin` or `mirror`.
+   * @param {Object} [config.circuitBreaker] - Per endpoint circuit breaker options.
+   * @param {number} [config.circuitBreaker.failureThreshold=3] - Consecutive failures before an endpoint is skipped.
+   * @param {number} [config.circuitBreaker.resetTimeout=30000] - How long a failing endpoint is skipped in milliseconds.
+   * @param {Auth|AuthProvider|Object|string|Function} [config.auth] - The authentication for the qryn server:
+   *   `{ username, password }` for basic auth, `{ token }` or a string for a bearer token, `{ apiKey, header }` for
+   *   an API key, an async token provider function, or an {@link AuthProvider}.
+   * @param {Object} [config.tls] - TLS options such as `cert`, `key` and `ca` for client certificates or a custom CA.
+   * @param {Object} [config.dispatcher] - An undici dispatcher for HTTP requests, e.g. a proxy agent.
+   * @param {Object[]} [config.interceptors] - Request interceptors with `onRequest`, `onResponse` and `onError`
+   *   hooks, see {@link QrynClient#use}.
    * @param {number} [config.timeout=5000] - The timeout for requests in milliseconds.
    * @param {Object} [config.headers={}] - Additional headers to send with requests.
+   * @param {string} [config.orgId] - The default tenant, sent as the `X-Scope-OrgID` header by all clients.
+   * @param {string|Object} [config.protocol='native'] - The push protocol, `native` or `otlp`, for all clients
+   *   or per signal as `{ logs, metrics, traces }`.
+   * @param {string} [config.encoding='json'] - The Loki push API encoding, `json` or `protobuf`.
+   * @param {string} [config.labelValidation='sanitize'] - `sanitize` invalid or reserved label and metric names,
+   *   or `throw` a ValidationError on them.
+   * @param {string} [config.remoteWriteVersion='1.0'] - The Prometheus remote write format, `1.0` or `2.0`.
+   * @param {string} [config.compression] - Compress request bodies with `gzip`, `deflate` or `zstd` (where supported by Node.js).
+   * @param {RetryPolicy|Object} [config.retry] - The retry policy for every request, or its options. Requests are not retried by default.
    */
   constructor(config) {
     if (typeof config !== 'object' || config === null) {
@@ -38,10 +74,48 @@ class QrynClient {
       'Content-Type': 'application/json',
       ...config.headers
     };
-    const http = new Http(baseUrl, timeout, headers, auth);
-    this.prom = new PrometheusClient(http);
-    this.loki = new LokiClient(http);
-    this.tempo = new TempoClient(http);
+    const protocol = config.protocol && typeof config.protocol === 'object'
+      ? config.protocol
+      : { logs: config.protocol, metrics: config.protocol, traces: config.protocol };
+    const http = new Http(baseUrl, timeout, headers, auth, {
+      compression: config.compression,
+      retry: config.retry,
+      strategy: config.strategy,
+      circuitBreaker: config.circuitBreaker,
+      tls: config.tls,
+      dispatcher: config.dispatcher,
+      interceptors: config.interceptors
+    });
+    this.http = http;
+    this.labelValidation = config.labelValidation;
+    this.orgId = config.orgId;
+    this.prom = new PrometheusClient(http, { protocol: protocol.metrics, remoteWriteVersion: config.remoteWriteVersion, orgId: config.orgId });
+    this.loki = new LokiClient(http, { protocol: protocol.logs, encoding: config.encoding, orgId: config.orgId });
+    this.tempo = new TempoClient(http, { protocol: protocol.traces, orgId: config.orgId });
+  }
+
+  /**
+   * Get a view of the client scoped to a tenant. The view shares the connection, retry and circuit breaker
+   * state of the client; its `prom`, `loki` and `tempo` clients, readers and collectors use the tenant by default.
+   * @param {string} orgId - The organization ID.
+   * @returns {QrynClient} The client view for the tenant.
+   * @throws {QrynError} If the organization ID is not a non-empty string.
+   *
+   * @example
+   * const acme = client.forTenant('acme');
+   * await acme.loki.push([stream]);
+   * const result = await acme.prom.createReader().query('up');
+   */
+  forTenant(orgId) {
+    if (typeof orgId !== 'string' || !orgId) {
+      throw new QrynError('orgId must be a non-empty string');
+    }
+    const view = Object.create(this);
+    view.orgId = orgId;
+    view.prom = this.prom.forTenant(orgId);
+    view.loki = this.loki.forTenant(orgId);
+    view.tempo = this.tempo.forTenant(orgId);
+    return view;
   }
 
   /**
@@ -72,7 +146,7 @@ class QrynClient {
    * @returns {Stream} A new Stream instance.
    */
   createStream(labels) {
-    return new Stream(labels);
+    return new Stream(labels, { labelValidation: this.labelValidation });
   }
 
   /**
@@ -82,10 +156,84 @@ class QrynClient {
    * @returns {Metric} A new Metric instance.
    */
   createMetric({ name, labels = {} }) {
-    return new Metric(name, labels);
+    return new Metric(name, labels, { labelValidation: this.labelValidation });
+  }
+
+  /**
+   * Create a new Trace instance.
+   * @param {Object} [options={}] - The trace options.
+   * @param {string} [options.traceId] - The trace ID, generated when omitted.
+   * @param {string} [options.serviceName] - The default service name for spans of the trace.
+   * @returns {Trace} A new Trace instance.
+   */
+  createTrace(options = {}) {
+    return new Trace(options);
+  }
+
+  /**
+   * Add a request interceptor, called for every HTTP request attempt of the client and its tenant views.
+   * @param {Object} interceptor - The interceptor.
+   * @param {Function} [interceptor.onRequest] - Called with `{ method, url, path, headers, bodySize }` before the
+   *   request is sent; `headers` can be changed in place.
+   * @param {Function} [interceptor.onResponse] - Called with the request context plus `status`, `duration` in
+   *   milliseconds and `response` after a successful response.
+   * @param {Function} [interceptor.onError] - Called with the request context plus `error`, `status` and
+   *   `duration` after a failed attempt.
+   * @returns {Function} A function that removes the interceptor.
+   * @throws {QrynError} If the interceptor has no hooks.
+   *
+   * @example
+   * client.use({
+   *   onRequest: context => { context.headers['traceparent'] = currentTraceparent(); },
+   *   onResponse: ({ method, path, status, duration }) => console.log(method, path, status, `${duration}ms`)
+   * });
+   */
+  use(interceptor) {
+    return this.http.use(interceptor);
+  }
+
+  /**
+   * Get the health of every configured endpoint.
+   * @returns {Array<{url: string, healthy: boolean, failures: number}>} The endpoint health.
+   */
+  get health() {
+    return this.http.endpoints.health;
   }
 
   // Add more methods for other qryn operations as needed
 }
 
-module.exports = { QrynClient, Stream, Metric, Collector };
\ No newline at end of file
+module.exports = {
+  QrynClient,
+  Stream,
+  Metric,
+  Span,
+  Trace,
+  Counter,
+  Gauge,
+  Histogram,
+  Summary,
+  Collector,
+  RetryPolicy,
+  AuthProvider,
+  BasicAuth,
+  BearerAuth,
+  ApiKeyAuth,
+  TokenAuth,
+  QrynError,
+  ValidationError,
+  QrynResponse,
+  QueryResult,
+  VectorResult,
+  MatrixResult,
+  ScalarResult,
+  StringResult,
+  StreamsResult,
+  TraceSearchResult,
+  TraceResult,
+  createPinoDestination,
+  WinstonTransport,
+  patchConsole,
+  promql,
+  logql
+};
\ No newline at end of file
@@ -0,0 +1,35 @@
+const util = require('util');
+const LogMapper = require('./mapper');
+
+const CONSOLE_LEVELS = { debug: 'debug', log: 'info', info: 'info', warn: 'warn', error: 'error' };
+
+/**
+ * Patch `console` methods to also add their output to the collector.
+ * Lines are the formatted console output; `format` does not apply.
+ * @param {Collector} collector - The collector that batches and pushes the entries.
+ * @param {Object} [options={}] - The {@link LogMapper} options `labels` and `levelLabel`, plus:
+ * @param {string[]} [options.methods=['debug', 'log', 'info', 'warn', 'error']] - The console methods to patch.
+ * @param {boolean} [options.passthrough=true] - Still print to the original console.
+ * @returns {function(): void} Restores the original console methods.
+ */
+function patchConsole(collector, { methods = Object.keys(CONSOLE_LEVELS), passthrough = true, ...options } = {}) {
+  const mapper = new LogMapper(collector, options);
+  const originals = {};
+  for (const method of methods) {
+    if (!CONSOLE_LEVELS[method]) {
+      throw new Error(`Cannot patch console.${method}`);
+    }
+    const original = console[method];
+    originals[method] = original;
+    console[method] = (...args) => {
+      if (passthrough) original.apply(console, args);
+      const labels = { ...mapper.labels };
+      if (mapper.levelLabel) labels[mapper.levelLabel] = CONSOLE_LEVELS[method];
+      // A closed collector must not break logging.
+      if (!collector.closed) collector.createStream(labels).addEntry(Date.now(), util.format(...args));
+    };
+  }
+  return () => Object.assign(console, originals);
+}
+
+module.exports = patchConsole;
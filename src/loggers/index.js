@@ -0,0 +1,11 @@
+const LogMapper = require("./mapper");
+const createPinoDestination = require("./pino");
+const WinstonTransport = require("./winston");
+const patchConsole = require("./console");
+
+module.exports = {
+  LogMapper,
+  createPinoDestination,
+  WinstonTransport,
+  patchConsole
+}
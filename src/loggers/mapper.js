@@ -0,0 +1,78 @@
+/**
+ * Maps structured log records to Collector streams: the level and selected fields become
+ * stream labels or structured metadata, the remaining fields are formatted into the line.
+ */
+class LogMapper {
+  /**
+   * @param {Collector} collector - The collector that batches and pushes the entries.
+   * @param {Object} [options={}] - The mapping options.
+   * @param {Object} [options.labels={}] - Static labels added to every stream, such as `{ job: 'api' }`.
+   * @param {string|null} [options.levelLabel='level'] - The label holding the log level, `null` to keep it in the line.
+   * @param {string[]} [options.labelFields=[]] - Record fields moved into stream labels. Keep these low-cardinality.
+   * @param {string[]} [options.metadataFields=[]] - Record fields moved into structured metadata, such as `trace_id`.
+   * @param {string} [options.format='json'] - The line format of the remaining fields, `json` or `logfmt`.
+   */
+  constructor(collector, { labels = {}, levelLabel = 'level', labelFields = [], metadataFields = [], format = 'json' } = {}) {
+    if (!collector || typeof collector.createStream !== 'function') {
+      throw new Error('A Collector is required');
+    }
+    if (format !== 'json' && format !== 'logfmt') {
+      throw new Error(`Unknown log line format: ${format}`);
+    }
+    this.collector = collector;
+    this.labels = labels;
+    this.levelLabel = levelLabel;
+    this.labelFields = labelFields;
+    this.metadataFields = metadataFields;
+    this.format = format;
+  }
+
+  /**
+   * Add a record to the stream matching its level and label fields. Records written after the collector
+   * is closed are dropped, so a closed collector does not break logging.
+   * @param {Object} record - The log record fields, without level and timestamp.
+   * @param {string} level - The level name.
+   * @param {number|string|Date|bigint} [timestamp=Date.now()] - The record timestamp.
+   * @returns {Promise<void>|undefined} A promise when the entry waits for room under the `block` overflow policy.
+   */
+  write(record, level, timestamp = Date.now()) {
+    if (this.collector.closed) return;
+    const labels = { ...this.labels };
+    const fields = { ...record };
+    if (this.levelLabel) {
+      labels[this.levelLabel] = level;
+    } else {
+      fields.level = level;
+    }
+    for (const field of this.labelFields) {
+      if (fields[field] === undefined) continue;
+      labels[field] = fields[field];
+      delete fields[field];
+    }
+    const metadata = {};
+    for (const field of this.metadataFields) {
+      if (fields[field] === undefined) continue;
+      metadata[field] = fields[field];
+      delete fields[field];
+    }
+    return this.collector.createStream(labels).addEntry(timestamp, this.formatLine(fields), metadata);
+  }
+
+  /**
+   * Format the fields of a record as a log line.
+   * @param {Object} fields - The fields.
+   * @returns {string} The line.
+   */
+  formatLine(fields) {
+    if (this.format === 'json') return JSON.stringify(fields);
+    return Object.entries(fields)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => {
+        const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value);
+        return `${key}=${text === '' || /[\s="\\]/.test(text) ? JSON.stringify(text) : text}`;
+      })
+      .join(' ');
+  }
+}
+
+module.exports = LogMapper;
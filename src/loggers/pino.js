@@ -0,0 +1,42 @@
+const LogMapper = require('./mapper');
+
+// The default pino level numbers.
+const PINO_LEVELS = { 10: 'trace', 20: 'debug', 30: 'info', 40: 'warn', 50: 'error', 60: 'fatal' };
+
+/**
+ * Create a pino destination that adds every log line to the collector.
+ * Pass it as the second argument of `pino()`; pino writes one JSON record per call.
+ * @param {Collector} collector - The collector that batches and pushes the entries.
+ * @param {Object} [options={}] - The {@link LogMapper} options, plus:
+ * @param {Object} [options.levels] - Custom level numbers by name, as passed to pino's `customLevels`.
+ * @param {string} [options.timeKey='time'] - The record field holding the epoch milliseconds timestamp.
+ * @returns {{write: function(string): void}} The pino destination.
+ */
+function createPinoDestination(collector, { levels = {}, timeKey = 'time', ...options } = {}) {
+  const mapper = new LogMapper(collector, options);
+  const levelNames = { ...PINO_LEVELS };
+  for (const [name, value] of Object.entries(levels)) levelNames[value] = name;
+
+  return {
+    write(chunk) {
+      // A closed collector must not break logging.
+      if (mapper.collector.closed) return;
+      for (const line of String(chunk).split('\n')) {
+        if (!line.trim()) continue;
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          // Not JSON, e.g. pino-pretty output: keep the raw line.
+          mapper.collector.createStream({ ...mapper.labels }).addEntry(Date.now(), line);
+          continue;
+        }
+        const { level, [timeKey]: time, ...fields } = record;
+        const name = typeof level === 'number' ? levelNames[level] || String(level) : level || 'info';
+        mapper.write(fields, name, typeof time === 'number' || typeof time === 'string' ? time : Date.now());
+      }
+    }
+  };
+}
+
+module.exports = createPinoDestination;
@@ -0,0 +1,59 @@
+const { Writable } = require('stream');
+const LogMapper = require('./mapper');
+
+// winston keeps the uncolorized level under this symbol.
+const LEVEL = Symbol.for('level');
+
+/**
+ * A winston transport that adds every log record to the collector.
+ * Implements the winston-transport contract, an object mode stream with `log()`,
+ * so winston itself does not have to be a dependency.
+ * @extends Writable
+ */
+class WinstonTransport extends Writable {
+  /**
+   * @param {Collector} collector - The collector that batches and pushes the entries.
+   * @param {Object} [options={}] - The {@link LogMapper} options, plus:
+   * @param {string} [options.level] - The most verbose level to send, all levels when omitted.
+   */
+  constructor(collector, { level, ...options } = {}) {
+    super({ objectMode: true });
+    this.mapper = new LogMapper(collector, options);
+    this.level = level;
+    this.levels = null;
+    // winston pipes the logger into its transports and hands over its levels on pipe.
+    this.on('pipe', logger => {
+      this.levels = logger.levels;
+    });
+  }
+
+  _write(info, encoding, callback) {
+    const level = info[LEVEL] || info.level;
+    if (this.level && this.levels && this.levels[level] > this.levels[this.level]) {
+      return callback();
+    }
+    this.log(info, callback);
+  }
+
+  /**
+   * Add a winston info object to the collector.
+   * @param {Object} info - The info object with `level`, `message` and metadata fields.
+   * @param {function(Error=): void} callback - Called once the entry is queued.
+   */
+  log(info, callback) {
+    const { level, timestamp, ...fields } = info;
+    let queued;
+    try {
+      queued = this.mapper.write(fields, info[LEVEL] || level, timestamp || Date.now());
+    } catch (error) {
+      return callback(error);
+    }
+    if (queued) {
+      queued.then(() => callback(), callback);
+    } else {
+      callback();
+    }
+  }
+}
+
+module.exports = WinstonTransport;
@@ -0,0 +1,99 @@
+const { QrynError } = require('../types');
+
+const OVERFLOW_POLICIES = ['drop-oldest', 'drop-newest', 'block'];
+
+/**
+ * Tracks the unsent items of a Stream or Metric against configurable limits.
+ * Pending items are the ones queued plus the ones collected by an unconfirmed push.
+ */
+class Backpressure {
+  #waiting = [];
+
+  /**
+   * Create a Backpressure instance.
+   * @param {Object} [options={}] - The limit options.
+   * @param {number} [options.maxPendingItems=Infinity] - The maximum number of unsent items.
+   * @param {number} [options.maxPendingBytes=Infinity] - The maximum size of unsent items in bytes.
+   * @param {string} [options.overflow='drop-oldest'] - What to do when a limit is reached: `drop-oldest`, `drop-newest` or `block`.
+   * @param {Function} [options.onDropped] - Called with `(source, count)` when items are dropped.
+   */
+  constructor({ maxPendingItems = Infinity, maxPendingBytes = Infinity, overflow = 'drop-oldest', onDropped } = {}) {
+    if (!OVERFLOW_POLICIES.includes(overflow)) {
+      throw new Error(`Overflow policy must be one of ${OVERFLOW_POLICIES.join(', ')}`);
+    }
+    this.maxPendingItems = maxPendingItems;
+    this.maxPendingBytes = maxPendingBytes;
+    this.overflow = overflow;
+    this.onDropped = onDropped;
+    this.items = 0;
+    this.bytes = 0;
+  }
+
+  get blocked() {
+    return this.#waiting.length > 0;
+  }
+
+  /**
+   * Check whether an item of the given size fits. An empty buffer always accepts one item
+   * so that a single oversized item cannot block forever.
+   * @param {number} size - The item size in bytes.
+   * @returns {boolean}
+   */
+  fits(size) {
+    if (this.items === 0) return true;
+    return this.items + 1 <= this.maxPendingItems && this.bytes + size <= this.maxPendingBytes;
+  }
+
+  /**
+   * Reserve room for an item if it fits and nobody is waiting before it.
+   * @param {number} size - The item size in bytes.
+   * @returns {boolean} True if the room was reserved.
+   */
+  tryReserve(size) {
+    if (this.blocked || !this.fits(size)) return false;
+    this.items++;
+    this.bytes += size;
+    return true;
+  }
+
+  /**
+   * Wait until room for an item is reserved, in arrival order.
+   * @param {number} size - The item size in bytes.
+   * @returns {Promise<void>}
+   * @throws {QrynError} If the owner is closed before room is freed.
+   */
+  reserve(size) {
+    if (this.tryReserve(size)) return Promise.resolve();
+    return new Promise((resolve, reject) => this.#waiting.push({ size, resolve, reject }));
+  }
+
+  /**
+   * Free room taken by confirmed or dropped items and wake up waiting writers.
+   * @param {number} items - The number of items freed.
+   * @param {number} bytes - The size of the freed items in bytes.
+   */
+  release(items, bytes) {
+    this.items = Math.max(0, this.items - items);
+    this.bytes = Math.max(0, this.bytes - bytes);
+    while (this.#waiting.length && this.fits(this.#waiting[0].size)) {
+      const { size, resolve } = this.#waiting.shift();
+      this.items++;
+      this.bytes += size;
+      resolve();
+    }
+  }
+
+  /**
+   * Reject the writers still waiting for room.
+   * @param {string} message - The message of the rejection.
+   */
+  close(message) {
+    for (const { reject } of this.#waiting.splice(0)) reject(new QrynError(message));
+  }
+
+  dropped(source, count) {
+    if (count > 0 && this.onDropped) this.onDropped(source, count);
+  }
+}
+
+module.exports = Backpressure;
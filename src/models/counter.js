@@ -0,0 +1,39 @@
+const Metric = require('./metric');
+
+/**
+ * A monotonically increasing value, pushed as a sample on every snapshot.
+ * @extends Metric
+ */
+class Counter extends Metric {
+  constructor(name, labels = {}, options = {}) {
+    super(name, labels, { type: 'counter', ...options });
+    this.value = 0;
+  }
+
+  get series() {
+    return [this];
+  }
+
+  /**
+   * Increase the counter.
+   * @param {number} [amount=1] - The non-negative amount to add.
+   * @param {Object} [exemplar] - Link the increase to a trace, as `{ traceId, spanId, labels }` or a {@link Span}.
+   */
+  inc(amount = 1, exemplar) {
+    if (typeof amount !== 'number' || amount < 0) {
+      throw new Error('Counter can only be increased by a non-negative number');
+    }
+    this.value += amount;
+    if (exemplar) this.addExemplar({ traceId: exemplar.traceId, spanId: exemplar.spanId, labels: exemplar.labels, value: amount });
+  }
+
+  /**
+   * Record the current value as a sample.
+   * @param {number} [timestamp=Date.now()] - The sample timestamp in milliseconds.
+   */
+  snapshot(timestamp = Date.now()) {
+    this.addSample(this.value, timestamp);
+  }
+}
+
+module.exports = Counter;
@@ -0,0 +1,41 @@
+const Metric = require('./metric');
+
+/**
+ * A value that can go up and down, pushed as a sample on every snapshot.
+ * @extends Metric
+ */
+class Gauge extends Metric {
+  constructor(name, labels = {}, options = {}) {
+    super(name, labels, { type: 'gauge', ...options });
+    this.value = 0;
+  }
+
+  get series() {
+    return [this];
+  }
+
+  set(value) {
+    if (typeof value !== 'number') {
+      throw new Error('Gauge value must be a number');
+    }
+    this.value = value;
+  }
+
+  inc(amount = 1) {
+    this.set(this.value + amount);
+  }
+
+  dec(amount = 1) {
+    this.set(this.value - amount);
+  }
+
+  /**
+   * Record the current value as a sample.
+   * @param {number} [timestamp=Date.now()] - The sample timestamp in milliseconds.
+   */
+  snapshot(timestamp = Date.now()) {
+    this.addSample(this.value, timestamp);
+  }
+}
+
+module.exports = Gauge;
@@ -0,0 +1,153 @@
+const Metric = require('./metric');
+const { validateLabels } = require('../utils/labels');
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// 2^-128, the Prometheus default width of the native histogram zero bucket.
+const DEFAULT_ZERO_THRESHOLD = 2.938735877055719e-39;
+
+/**
+ * Encode sparse bucket counts as native histogram spans and count deltas.
+ * @param {Map<number, number>} buckets - The counts by bucket index.
+ * @returns {{spans: Array<{offset: number, length: number}>, deltas: number[]}}
+ */
+function toSpans(buckets) {
+  const spans = [];
+  const deltas = [];
+  let previousIndex;
+  let previousCount = 0;
+  for (const index of Array.from(buckets.keys()).sort((a, b) => a - b)) {
+    if (previousIndex === undefined) {
+      spans.push({ offset: index, length: 1 });
+    } else if (index === previousIndex + 1) {
+      spans[spans.length - 1].length++;
+    } else {
+      spans.push({ offset: index - previousIndex - 1, length: 1 });
+    }
+    const count = buckets.get(index);
+    deltas.push(count - previousCount);
+    previousCount = count;
+    previousIndex = index;
+  }
+  return { spans, deltas };
+}
+
+/**
+ * Counts observations in configurable buckets. Every snapshot pushes the cumulative
+ * `<name>_bucket{le="..."}`, `<name>_sum` and `<name>_count` series, or a single `<name>`
+ * native histogram with exponential buckets when `native` is set.
+ */
+class Histogram {
+  /**
+   * @param {string} name - The base name of the histogram series.
+   * @param {Object} [labels={}] - The labels shared by all series.
+   * @param {Object} [options={}] - The histogram options; the rest is passed to each series {@link Metric}.
+   * @param {number[]} [options.buckets] - The bucket upper bounds, Prometheus defaults when omitted.
+   * @param {boolean} [options.native=false] - Push a native histogram instead of classic bucket series.
+   * @param {number} [options.schema=3] - The native bucket resolution, from -4 to 8; each power of two
+   *   is divided into 2^schema buckets.
+   * @param {number} [options.zeroThreshold] - Observations up to this absolute value count in the native zero bucket.
+   */
+  constructor(name, labels = {}, { buckets = DEFAULT_BUCKETS, native = false, schema = 3, zeroThreshold = DEFAULT_ZERO_THRESHOLD, ...options } = {}) {
+    if (!Array.isArray(buckets) || !buckets.every(bound => typeof bound === 'number' && Number.isFinite(bound))) {
+      throw new Error('Histogram buckets must be an array of finite numbers');
+    }
+    if (!Number.isInteger(schema) || schema < -4 || schema > 8) {
+      throw new Error('Histogram schema must be an integer from -4 to 8');
+    }
+    this.name = name;
+    // `le` is set on each series by the histogram.
+    labels = validateLabels(labels, { mode: options.labelValidation, reserved: ['le'] });
+    this.labels = labels;
+    this.native = native;
+    this.sum = 0;
+    this.count = 0;
+    options = { type: 'histogram', family: name, ...options };
+
+    if (native) {
+      this.schema = schema;
+      this.zeroThreshold = zeroThreshold;
+      this.zeroCount = 0;
+      this.positiveBuckets = new Map();
+      this.negativeBuckets = new Map();
+      this.nativeSeries = new Metric(name, labels, options);
+      return;
+    }
+    this.buckets = Array.from(new Set(buckets)).sort((a, b) => a - b);
+    this.counts = new Array(this.buckets.length + 1).fill(0);
+
+    const bounds = this.buckets.map(String).concat('+Inf');
+    this.bucketSeries = bounds.map(le => new Metric(`${name}_bucket`, { ...labels, le }, options));
+    this.sumSeries = new Metric(`${name}_sum`, labels, options);
+    this.countSeries = new Metric(`${name}_count`, labels, options);
+  }
+
+  get series() {
+    if (this.native) return [this.nativeSeries];
+    return [...this.bucketSeries, this.sumSeries, this.countSeries];
+  }
+
+  /**
+   * Record an observation.
+   * @param {number} value - The observed value.
+   * @param {Object} [exemplar] - Link the observation to a trace, as `{ traceId, spanId, labels }` or a {@link Span}.
+   */
+  observe(value, exemplar) {
+    if (typeof value !== 'number') {
+      throw new Error('Observed value must be a number');
+    }
+    let series;
+    if (this.native) {
+      if (Math.abs(value) <= this.zeroThreshold) {
+        this.zeroCount++;
+      } else {
+        const buckets = value > 0 ? this.positiveBuckets : this.negativeBuckets;
+        const index = Math.ceil(Math.log2(Math.abs(value)) * 2 ** this.schema);
+        buckets.set(index, (buckets.get(index) || 0) + 1);
+      }
+      series = this.nativeSeries;
+    } else {
+      let index = this.buckets.findIndex(bound => value <= bound);
+      if (index === -1) index = this.buckets.length;
+      this.counts[index]++;
+      series = this.bucketSeries[index];
+    }
+    this.sum += value;
+    this.count++;
+    if (exemplar) series.addExemplar({ traceId: exemplar.traceId, spanId: exemplar.spanId, labels: exemplar.labels, value });
+  }
+
+  /**
+   * Record the current bucket counts, sum and count as samples.
+   * @param {number} [timestamp=Date.now()] - The sample timestamp in milliseconds.
+   */
+  snapshot(timestamp = Date.now()) {
+    if (this.native) {
+      const positive = toSpans(this.positiveBuckets);
+      const negative = toSpans(this.negativeBuckets);
+      this.nativeSeries.addHistogram({
+        count: this.count,
+        sum: this.sum,
+        schema: this.schema,
+        zeroThreshold: this.zeroThreshold,
+        zeroCount: this.zeroCount,
+        positiveSpans: positive.spans,
+        positiveDeltas: positive.deltas,
+        negativeSpans: negative.spans,
+        negativeDeltas: negative.deltas
+      }, timestamp);
+      return;
+    }
+    let cumulative = 0;
+    this.counts.forEach((count, i) => {
+      cumulative += count;
+      this.bucketSeries[i].addSample(cumulative, timestamp);
+    });
+    this.sumSeries.addSample(this.sum, timestamp);
+    this.countSeries.addSample(this.count, timestamp);
+  }
+}
+
+Histogram.DEFAULT_BUCKETS = DEFAULT_BUCKETS;
+
+module.exports = Histogram;
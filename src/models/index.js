@@ -1,7 +1,19 @@
 const Metric = require("./metric");
 const Stream = require("./stream");
+const Span = require("./span");
+const Trace = require("./trace");
+const Counter = require("./counter");
+const Gauge = require("./gauge");
+const Histogram = require("./histogram");
+const Summary = require("./summary");
 
 module.exports = {
   Metric,
-  Stream
+  Stream,
+  Span,
+  Trace,
+  Counter,
+  Gauge,
+  Histogram,
+  Summary
 }
\ No newline at end of file
@@ -1,15 +1,83 @@
+const Backpressure = require('./backpressure');
+const { aggregate, isAggregation } = require('../utils/aggregation');
+const { validateLabels, validateMetricName } = require('../utils/labels');
+
+// A sample is a double value and an int64 timestamp.
+const SAMPLE_SIZE = 16;
+
+const METRIC_TYPES = ['unknown', 'counter', 'gauge', 'histogram', 'gaugehistogram', 'summary', 'info', 'stateset'];
+
+const labelsSize = labels => Object.entries(labels).reduce((size, [name, value]) => size + name.length + String(value).length, 0);
+
 class Metric {
   #cachedLabels = {}
   #key = '';
-  constructor(name, labels = {}) {
-    this.name = name;
-    this.labels = labels;
+  #backpressure;
+  #closed = false;
+  #lastPushed = null;
+  #lastCollected = null;
+  // Sizes of exemplars and native histograms; every sample takes SAMPLE_SIZE.
+  #sizes = new WeakMap();
+  /**
+   * @param {string} name - The name of the metric.
+   * @param {Object} [labels={}] - The labels for the metric.
+   * @param {Object} [options={}] - Limits on unsent samples, see {@link Backpressure}.
+   * @param {string|Function} [options.aggregation] - Downsample the samples of each push to a single sample:
+   *   `last`, `sum`, `min`, `max`, `avg`, `rate`, or a custom `(samples, previous) => samples` function.
+   * @param {string} [options.type] - The metric type sent as remote write metadata: `counter`, `gauge`, `histogram`,
+   *   `gaugehistogram`, `summary`, `info`, `stateset` or `unknown`.
+   * @param {string} [options.help] - The help text sent as remote write metadata.
+   * @param {string} [options.unit] - The unit sent as remote write metadata.
+   * @param {string} [options.family] - The metric family the metadata describes, defaults to the metric name.
+   * @param {string} [options.labelValidation='sanitize'] - `sanitize` an invalid name and invalid or reserved
+   *   labels, or `throw` a ValidationError on them. `none` keeps them as given, as for series read from the server.
+   */
+  constructor(name, labels = {}, options = {}) {
+    if (options.aggregation && !isAggregation(options.aggregation)) {
+      throw new Error(`Unknown aggregation: ${options.aggregation}`);
+    }
+    if (options.type && !METRIC_TYPES.includes(options.type)) {
+      throw new Error(`Unknown metric type: ${options.type}`);
+    }
+    this.name = validateMetricName(name, options.labelValidation);
+    this.labels = validateLabels(labels, { mode: options.labelValidation });
     this.samples = [];
+    this.exemplars = [];
+    this.histograms = [];
     this.collectedSamples = [];
+    this.collectedExemplars = [];
+    this.collectedHistograms = [];
+    this.type = options.type;
+    this.help = options.help;
+    this.unit = options.unit;
+    this.family = options.family || this.name;
     this.#cachedLabels = this.generateLabels();
     this.listeners = [];
     this.timeoutId = null;
+    this.#backpressure = new Backpressure(options);
+    this.aggregation = options.aggregation;
+  }
+
+  get pendingItems() {
+    return this.#backpressure.items;
+  }
+
+  get pendingBytes() {
+    return this.#backpressure.bytes;
   }
+  /**
+   * The remote write metadata of the metric, or null when no type, help or unit is set.
+   * @returns {{family: string, type: string, help: string, unit: string}|null}
+   */
+  get metadata() {
+    if (!this.type && !this.help && !this.unit) return null;
+    return { family: this.family, type: this.type || 'unknown', help: this.help || '', unit: this.unit || '' };
+  }
+
+  get isEmpty() {
+    return !this.samples.length && !this.exemplars.length && !this.histograms.length;
+  }
+
   get hasBulkProcessing() { 
     return Boolean(this.listeners.length);
   }
@@ -38,44 +106,175 @@ class Metric {
     return labels;
   }
   
-  #notifyListeners() {
-    if (this.samples.length > 0) {
-      this.listeners.forEach(listener => listener(this));
-    }
+  #notifyListeners(item, kind) {
+    this.listeners.forEach(listener => listener(this, item, kind));
   }
   
   
+  /**
+   * Add a sample to the metric.
+   * When the pending limits are reached the overflow policy applies: `drop-oldest` drops queued samples,
+   * `drop-newest` drops this sample and `block` returns a promise that resolves once the sample is queued.
+   * @param {number} value - The sample value.
+   * @param {number} [timestamp=Date.now()] - The sample timestamp in milliseconds.
+   * @returns {Promise<void>|undefined} A promise when the sample has to wait for room under the `block` policy.
+   */
   addSample(value, timestamp = Date.now()) {
     if (typeof value !== 'number' || typeof timestamp !== 'number') {
       throw new Error('Value and timestamp must be numbers');
     }
-    this.samples.push({ value, timestamp });
+    return this.#enqueue(this.samples, { value, timestamp }, SAMPLE_SIZE, 'sample');
+  }
+
+  /**
+   * Add an exemplar, an example observation linking the metric to a trace.
+   * Passing a {@link Span} as the exemplar links it to that span.
+   * @param {Object} exemplar - The exemplar.
+   * @param {number} exemplar.value - The observed value.
+   * @param {number} [exemplar.timestamp=Date.now()] - The observation time in milliseconds.
+   * @param {string} [exemplar.traceId] - The trace ID, sent as the `trace_id` label.
+   * @param {string} [exemplar.spanId] - The span ID, sent as the `span_id` label.
+   * @param {Object} [exemplar.labels={}] - Additional exemplar labels.
+   * @returns {Promise<void>|undefined} A promise when the exemplar has to wait for room under the `block` policy.
+   */
+  addExemplar({ value, timestamp = Date.now(), traceId, spanId, labels = {} }) {
+    if (typeof value !== 'number' || typeof timestamp !== 'number') {
+      throw new Error('Value and timestamp must be numbers');
+    }
+    const exemplarLabels = { ...labels };
+    if (traceId) exemplarLabels.trace_id = traceId;
+    if (spanId) exemplarLabels.span_id = spanId;
+    const exemplar = { labels: exemplarLabels, value, timestamp };
+    return this.#enqueue(this.exemplars, exemplar, SAMPLE_SIZE + labelsSize(exemplarLabels), 'exemplar');
+  }
 
-    this.#notifyListeners();
+  /**
+   * Add a native histogram sample.
+   * Integer histograms carry `positiveDeltas`/`negativeDeltas`, float histograms `positiveCounts`/`negativeCounts`.
+   * @param {Object} histogram - The histogram.
+   * @param {number} histogram.count - The number of observations.
+   * @param {number} histogram.sum - The sum of observations.
+   * @param {number} histogram.schema - The bucket schema, from -4 to 8.
+   * @param {number} [histogram.zeroThreshold=0] - The width of the zero bucket.
+   * @param {number} [histogram.zeroCount=0] - The number of observations in the zero bucket.
+   * @param {Array<{offset: number, length: number}>} [histogram.positiveSpans] - The positive bucket spans.
+   * @param {number[]} [histogram.positiveDeltas] - The positive bucket count deltas.
+   * @param {number[]} [histogram.positiveCounts] - The positive bucket counts.
+   * @param {Array<{offset: number, length: number}>} [histogram.negativeSpans] - The negative bucket spans.
+   * @param {number[]} [histogram.negativeDeltas] - The negative bucket count deltas.
+   * @param {number[]} [histogram.negativeCounts] - The negative bucket counts.
+   * @param {string} [histogram.resetHint='unknown'] - `unknown`, `yes`, `no` or `gauge`.
+   * @param {number} [timestamp=Date.now()] - The sample timestamp in milliseconds.
+   * @returns {Promise<void>|undefined} A promise when the histogram has to wait for room under the `block` policy.
+   */
+  addHistogram(histogram, timestamp = Date.now()) {
+    if (!histogram || typeof histogram.count !== 'number' || typeof histogram.sum !== 'number' ||
+      !Number.isInteger(histogram.schema) || histogram.schema < -4 || histogram.schema > 8) {
+      throw new Error('Histogram must have a numeric count and sum and a schema from -4 to 8');
+    }
+    if (typeof timestamp !== 'number') {
+      throw new Error('Timestamp must be a number');
+    }
+    const sample = { ...histogram, timestamp };
+    const buckets = ['positiveDeltas', 'positiveCounts', 'negativeDeltas', 'negativeCounts']
+      .reduce((count, key) => count + (histogram[key] ? histogram[key].length : 0), 0);
+    return this.#enqueue(this.histograms, sample, SAMPLE_SIZE * 2 + buckets * 8, 'histogram');
+  }
+
+  #enqueue(queue, item, size, kind) {
+    if (this.#closed) {
+      throw new Error('Metric is closed');
+    }
+    const backpressure = this.#backpressure;
+    if (backpressure.tryReserve(size)) {
+      this.#add(queue, item, size, kind);
+      return;
+    }
+
+    if (backpressure.overflow === 'block') {
+      return backpressure.reserve(size).then(() => this.#add(queue, item, size, kind));
+    }
+    let dropped = 0;
+    if (backpressure.overflow === 'drop-oldest') {
+      while (!backpressure.fits(size) && queue.length) {
+        backpressure.release(1, this.#sizeOf(queue.shift()));
+        dropped++;
+      }
+    }
+    if (backpressure.tryReserve(size)) {
+      this.#add(queue, item, size, kind);
+    } else {
+      dropped++;
+    }
+    backpressure.dropped(this, dropped);
+  }
+
+  #add(queue, item, size, kind) {
+    if (size !== SAMPLE_SIZE) this.#sizes.set(item, size);
+    queue.push(item);
+
+    this.#notifyListeners(item, kind);
   }
   
+  #sizeOf(item) {
+    return this.#sizes.get(item) || SAMPLE_SIZE;
+  }
+
   collect() {
+    const samples = this.aggregation ? aggregate(this.aggregation, this.samples, this.#lastPushed) : this.samples;
     const collectedData = {
       labels: this.#cachedLabels,
-      samples: this.samples
+      samples,
+      exemplars: this.exemplars,
+      histograms: this.histograms
     };
     this.collectedSamples = this.samples;
+    this.collectedExemplars = this.exemplars;
+    this.collectedHistograms = this.histograms;
     this.samples = [];
+    this.exemplars = [];
+    this.histograms = [];
+    // rate() compares against the last raw sample of the previous push, not the aggregated one.
+    this.#lastCollected = this.collectedSamples.reduce((last, sample) => !last || sample.timestamp >= last.timestamp ? sample : last, null);
     return collectedData;
   }
   
   confirm() {
+    const collected = [...this.collectedSamples, ...this.collectedExemplars, ...this.collectedHistograms];
+    this.#backpressure.release(collected.length, collected.reduce((bytes, item) => bytes + this.#sizeOf(item), 0));
     this.collectedSamples = [];
+    this.collectedExemplars = [];
+    this.collectedHistograms = [];
+    this.#lastPushed = this.#lastCollected || this.#lastPushed;
+    this.#lastCollected = null;
   }
   
   undo() {
     this.samples = this.collectedSamples.concat(this.samples);
+    this.exemplars = this.collectedExemplars.concat(this.exemplars);
+    this.histograms = this.collectedHistograms.concat(this.histograms);
     this.collectedSamples = [];
+    this.collectedExemplars = [];
+    this.collectedHistograms = [];
   }
   
   reset() {
     this.samples = [];
+    this.exemplars = [];
+    this.histograms = [];
     this.collectedSamples = [];
+    this.collectedExemplars = [];
+    this.collectedHistograms = [];
+    this.#backpressure.release(this.#backpressure.items, this.#backpressure.bytes);
+  }
+
+  /**
+   * Reject further samples. Queued samples can still be collected and pushed; samples still waiting
+   * for room under the `block` policy are rejected.
+   */
+  close() {
+    this.#closed = true;
+    this.#backpressure.close('Metric closed while waiting for room');
   }
 }
 
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const { toNanos, toAttributes } = require('../utils/otlp');
+
+const OTLP_KINDS = {
+  internal: 1,
+  server: 2,
+  client: 3,
+  producer: 4,
+  consumer: 5
+};
+
+const OTLP_STATUS = {
+  unset: 0,
+  ok: 1,
+  error: 2
+};
+
+class Span {
+  constructor(name, options = {}) {
+    if (typeof name !== 'string' || !name) {
+      throw new Error('Span name must be a non-empty string');
+    }
+    this.name = name;
+    this.traceId = options.traceId || Span.generateId(16);
+    this.spanId = options.spanId || Span.generateId(8);
+    this.parentSpanId = options.parentSpanId;
+    this.serviceName = options.serviceName;
+    this.kind = (options.kind || 'internal').toLowerCase();
+    if (!(this.kind in OTLP_KINDS)) {
+      throw new Error(`Unknown span kind: ${options.kind}`);
+    }
+    this.startTime = options.startTime ?? Date.now();
+    this.endTime = null;
+    this.attributes = { ...options.attributes };
+    this.events = [];
+    this.status = { code: 'unset' };
+    this.listeners = [];
+  }
+
+  /**
+   * Generate a random hex encoded ID.
+   * @param {number} bytes - The ID length in bytes (16 for trace IDs, 8 for span IDs).
+   * @returns {string} The hex encoded ID.
+   */
+  static generateId(bytes) {
+    return crypto.randomBytes(bytes).toString('hex');
+  }
+
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  get duration() {
+    return this.ended ? this.endTime - this.startTime : null;
+  }
+
+  addListener(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+    this.listeners.push(callback);
+  }
+
+  setAttribute(key, value) {
+    this.attributes[key] = value;
+    return this;
+  }
+
+  addEvent(name, attributes = {}, timestamp = Date.now()) {
+    this.events.push({ name, attributes, timestamp });
+    return this;
+  }
+
+  /**
+   * Set the span status.
+   * @param {string} code - One of `unset`, `ok` or `error`.
+   * @param {string} [message] - An optional status message.
+   */
+  setStatus(code, message) {
+    if (!(code in OTLP_STATUS)) {
+      throw new Error(`Unknown span status: ${code}`);
+    }
+    this.status = { code, message };
+    return this;
+  }
+
+  /**
+   * End the span and notify listeners that it is ready to be pushed.
+   * @param {number} [endTime=Date.now()] - The end timestamp in milliseconds.
+   */
+  end(endTime = Date.now()) {
+    if (this.ended) return;
+    if (typeof endTime !== 'number') {
+      throw new Error('End time must be a number');
+    }
+    this.endTime = endTime;
+    this.listeners.forEach(listener => listener(this));
+  }
+
+  /**
+   * Encode the span as a Zipkin v2 span.
+   * @returns {Object} The Zipkin span.
+   */
+  toZipkin() {
+    const span = {
+      traceId: this.traceId,
+      id: this.spanId,
+      name: this.name,
+      timestamp: Math.round(this.startTime * 1000),
+      duration: Math.round((this.duration ?? 0) * 1000),
+      localEndpoint: { serviceName: this.serviceName },
+      tags: Object.fromEntries(Object.entries(this.attributes).map(([key, value]) => [key, String(value)]))
+    };
+    if (this.parentSpanId) span.parentId = this.parentSpanId;
+    if (this.kind !== 'internal') span.kind = this.kind.toUpperCase();
+    if (this.status.code === 'error') span.tags.error = this.status.message || 'true';
+    if (this.events.length) {
+      span.annotations = this.events.map(event => ({
+        timestamp: Math.round(event.timestamp * 1000),
+        value: event.name
+      }));
+    }
+    return span;
+  }
+
+  /**
+   * Encode the span as an OTLP JSON span (without resource and scope).
+   * @returns {Object} The OTLP span.
+   */
+  toOTLP() {
+    const span = {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      name: this.name,
+      kind: OTLP_KINDS[this.kind],
+      startTimeUnixNano: toNanos(this.startTime),
+      endTimeUnixNano: toNanos(this.endTime ?? this.startTime),
+      attributes: toAttributes(this.attributes),
+      events: this.events.map(event => ({
+        timeUnixNano: toNanos(event.timestamp),
+        name: event.name,
+        attributes: toAttributes(event.attributes)
+      })),
+      status: { code: OTLP_STATUS[this.status.code] }
+    };
+    if (this.parentSpanId) span.parentSpanId = this.parentSpanId;
+    if (this.status.message) span.status.message = this.status.message;
+    return span;
+  }
+}
+
+module.exports = Span;
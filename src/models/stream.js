@@ -1,16 +1,70 @@
+const Backpressure = require('./backpressure');
+const { escapeLabelValue, validateLabels } = require('../utils/labels');
+
+// 2001-09-09; `[seconds, nanoseconds]` pairs before it are taken for `process.hrtime()` values, which count from an arbitrary point.
+const MIN_EPOCH_SECONDS = 1e9;
+
+const entrySize = entry => entry.ts.length + Buffer.byteLength(String(entry.line)) +
+  (entry.metadata ? Buffer.byteLength(JSON.stringify(entry.metadata)) : 0);
+
+/**
+ * Convert an entry timestamp to Unix epoch nanoseconds.
+ * @param {number|string|Date|bigint|number[]} timestamp - Milliseconds as a number or Date, an RFC3339 string,
+ *   nanoseconds as a bigint or digit string, or a `[seconds, nanoseconds]` pair since the epoch.
+ * @returns {string} The nanosecond timestamp.
+ * @throws {Error} If the timestamp is invalid, or a pair is not epoch based, such as a `process.hrtime()` value.
+ */
+function toNanoseconds(timestamp) {
+  if (typeof timestamp === 'bigint') return timestamp.toString();
+  if (Array.isArray(timestamp) && timestamp.length === 2) {
+    const [seconds, nanos] = timestamp;
+    if (!(Number(seconds) >= MIN_EPOCH_SECONDS)) {
+      throw new Error(`Invalid timestamp: [${timestamp}] is not [seconds, nanoseconds] since the epoch; process.hrtime() values must be converted first`);
+    }
+    return (BigInt(seconds) * 1000000000n + BigInt(nanos)).toString();
+  }
+  if (typeof timestamp === 'string' && /^\d+$/.test(timestamp)) return timestamp;
+  const ms = typeof timestamp === 'number' ? timestamp : new Date(timestamp).getTime();
+  if (!Number.isFinite(ms)) {
+    throw new Error(`Invalid timestamp: ${timestamp}`);
+  }
+  const whole = Math.floor(ms);
+  return (BigInt(whole) * 1000000n + BigInt(Math.round((ms - whole) * 1e6))).toString();
+}
+
 class Stream {
   #key = '';
   #cachedLabels = '';
   #collectedEntries = [];
+  #collectedBytes = 0;
+  #backpressure;
+  #closed = false;
+  #labelValidation;
 
-  constructor(labels = {}) {
+  /**
+   * @param {Object} [labels={}] - The labels for the stream.
+   * @param {Object} [options={}] - Limits on unsent entries, see {@link Backpressure}.
+   * @param {string} [options.labelValidation='sanitize'] - `sanitize` invalid or reserved labels, or `throw` a
+   *   ValidationError on them.
+   */
+  constructor(labels = {}, options = {}) {
     if (typeof labels !== 'object' || labels === null) {
       throw new Error('Labels must be a non-null object');
     }
-    this.labels = labels;
+    this.#labelValidation = options.labelValidation;
+    this.labels = validateLabels(labels, { mode: options.labelValidation });
     this.entries = [];
-    this.#cachedLabels = this.formatLabels(labels);
+    this.#cachedLabels = this.formatLabels(this.labels);
     this.listeners = [];
+    this.#backpressure = new Backpressure(options);
+  }
+
+  get pendingItems() {
+    return this.#backpressure.items;
+  }
+
+  get pendingBytes() {
+    return this.#backpressure.bytes;
   }
 
   get key() {
@@ -25,7 +79,7 @@ class Stream {
 
   formatLabels(labels) {
     return '{' + Object.entries(labels)
-      .map(([key, value]) => `${key}="${value.toString()}"`)
+      .map(([key, value]) => `${key}="${escapeLabelValue(value)}"`)
       .join(',') + '}';
   }
 
@@ -36,37 +90,96 @@ class Stream {
     this.listeners.push(callback);
   }
 
-  #notifyListeners() {
+  #notifyListeners(entry) {
     if (this.entries.length > 0) {
-      this.listeners.forEach(listener => listener(this));
+      this.listeners.forEach(listener => listener(this, entry));
     }
   }
 
-  addEntry(timestamp, line) {
-    const formattedTimestamp = new Date(timestamp).toISOString();
-    this.entries.push({ ts: formattedTimestamp, line: line });
-    this.#notifyListeners();
+  /**
+   * Add a log entry to the stream.
+   * When the pending limits are reached the overflow policy applies: `drop-oldest` drops queued entries,
+   * `drop-newest` drops this entry and `block` returns a promise that resolves once the entry is queued.
+   * @param {number|string|Date|bigint|number[]} timestamp - The timestamp of the entry: milliseconds, a Date or
+   *   RFC3339 string, or nanoseconds as a bigint, a digit string or a `[seconds, nanoseconds]` pair since the epoch.
+   *   `process.hrtime()` values are not epoch based and are rejected.
+   * @param {string} line - The log line.
+   * @param {Object} [metadata] - Structured metadata for this line only, such as a trace ID. Unlike labels it
+   *   does not create a new stream.
+   * @returns {Promise<void>|undefined} A promise when the entry has to wait for room under the `block` policy.
+   */
+  addEntry(timestamp, line, metadata) {
+    if (this.#closed) {
+      throw new Error('Stream is closed');
+    }
+    const entry = { ts: toNanoseconds(timestamp), line: line };
+    if (metadata && Object.keys(metadata).length) {
+      entry.metadata = validateLabels(metadata, { mode: this.#labelValidation });
+    }
+    const size = entrySize(entry);
+    const backpressure = this.#backpressure;
+    if (backpressure.tryReserve(size)) {
+      this.#add(entry);
+      return;
+    }
+
+    if (backpressure.overflow === 'block') {
+      return backpressure.reserve(size).then(() => this.#add(entry));
+    }
+    let dropped = 0;
+    if (backpressure.overflow === 'drop-oldest') {
+      while (!backpressure.fits(size) && this.entries.length) {
+        backpressure.release(1, entrySize(this.entries.shift()));
+        dropped++;
+      }
+    }
+    if (backpressure.tryReserve(size)) {
+      this.#add(entry);
+    } else {
+      dropped++;
+    }
+    backpressure.dropped(this, dropped);
+  }
+
+  #add(entry) {
+    this.entries.push(entry);
+    this.#notifyListeners(entry);
   }
 
   collect() {
     const collectedData = this.toJSON();
     this.#collectedEntries = this.entries;
+    this.#collectedBytes = this.entries.reduce((bytes, entry) => bytes + entrySize(entry), 0);
     this.entries = [];
     return collectedData;
   }
 
   confirm() {
+    this.#backpressure.release(this.#collectedEntries.length, this.#collectedBytes);
     this.#collectedEntries = [];
+    this.#collectedBytes = 0;
   }
 
   undo() {
     this.entries = this.#collectedEntries.concat(this.entries);
     this.#collectedEntries = [];
+    this.#collectedBytes = 0;
   }
 
   reset() {
     this.entries = [];
     this.#collectedEntries = [];
+    this.#collectedBytes = 0;
+    this.#backpressure.release(this.#backpressure.items, this.#backpressure.bytes);
+  }
+
+  /**
+   * Reject further entries. Queued entries can still be collected and pushed; entries still waiting
+   * for room under the `block` policy are rejected.
+   */
+  close() {
+    this.#closed = true;
+    this.#backpressure.close('Stream closed while waiting for room');
   }
 
   toJSON() {
@@ -0,0 +1,74 @@
+const Metric = require('./metric');
+const { validateLabels } = require('../utils/labels');
+
+/**
+ * Tracks quantiles of observations over a sliding time window. Every snapshot pushes
+ * `<name>{quantile="..."}` for each quantile plus the cumulative `<name>_sum` and `<name>_count` series.
+ */
+class Summary {
+  /**
+   * @param {string} name - The base name of the summary series.
+   * @param {Object} [labels={}] - The labels shared by all series.
+   * @param {Object} [options={}] - The summary options; the rest is passed to each series {@link Metric}.
+   * @param {number[]} [options.quantiles=[0.5, 0.9, 0.99]] - The quantiles to report, between 0 and 1.
+   * @param {number} [options.maxAge=600000] - The window observations are kept for, in milliseconds.
+   * @param {number} [options.maxObservations=10000] - The maximum number of observations kept in the window.
+   */
+  constructor(name, labels = {}, { quantiles = [0.5, 0.9, 0.99], maxAge = 10 * 60 * 1000, maxObservations = 10000, ...options } = {}) {
+    if (!Array.isArray(quantiles) || !quantiles.every(q => typeof q === 'number' && q >= 0 && q <= 1)) {
+      throw new Error('Summary quantiles must be numbers between 0 and 1');
+    }
+    this.name = name;
+    // `quantile` is set on each series by the summary.
+    labels = validateLabels(labels, { mode: options.labelValidation, reserved: ['quantile'] });
+    this.labels = labels;
+    this.quantiles = quantiles;
+    this.maxAge = maxAge;
+    this.maxObservations = maxObservations;
+    this.observations = [];
+    this.sum = 0;
+    this.count = 0;
+
+    options = { type: 'summary', family: name, ...options };
+    this.quantileSeries = quantiles.map(q => new Metric(name, { ...labels, quantile: String(q) }, options));
+    this.sumSeries = new Metric(`${name}_sum`, labels, options);
+    this.countSeries = new Metric(`${name}_count`, labels, options);
+  }
+
+  get series() {
+    return [...this.quantileSeries, this.sumSeries, this.countSeries];
+  }
+
+  /**
+   * Record an observation.
+   * @param {number} value - The observed value.
+   * @param {number} [timestamp=Date.now()] - The observation time in milliseconds.
+   */
+  observe(value, timestamp = Date.now()) {
+    if (typeof value !== 'number') {
+      throw new Error('Observed value must be a number');
+    }
+    this.observations.push({ value, timestamp });
+    if (this.observations.length > this.maxObservations) this.observations.shift();
+    this.sum += value;
+    this.count++;
+  }
+
+  /**
+   * Record the quantiles of the current window, the sum and the count as samples.
+   * Quantiles of an empty window are reported as NaN.
+   * @param {number} [timestamp=Date.now()] - The sample timestamp in milliseconds.
+   */
+  snapshot(timestamp = Date.now()) {
+    this.observations = this.observations.filter(observation => observation.timestamp > timestamp - this.maxAge);
+    const values = this.observations.map(observation => observation.value).sort((a, b) => a - b);
+    this.quantiles.forEach((q, i) => {
+      const value = values.length ? values[Math.max(0, Math.ceil(q * values.length) - 1)] : NaN;
+      this.quantileSeries[i].addSample(value, timestamp);
+    });
+    this.sumSeries.addSample(this.sum, timestamp);
+    this.countSeries.addSample(this.count, timestamp);
+  }
+}
+
+module.exports = Summary;
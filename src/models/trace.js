@@ -0,0 +1,122 @@
+const Span = require('./span');
+
+class Trace {
+  #collectedSpans = [];
+  #openSpans = 0;
+  #closed = false;
+
+  constructor({ traceId, serviceName } = {}) {
+    this.traceId = traceId || Span.generateId(16);
+    this.serviceName = serviceName;
+    this.spans = [];
+    this.listeners = [];
+  }
+
+  get key() {
+    return this.traceId;
+  }
+
+  /**
+   * The number of spans not yet confirmed by a push: queued, collected, or started and not ended yet.
+   * @returns {number}
+   */
+  get pendingItems() {
+    return this.spans.length + this.#collectedSpans.length + this.#openSpans;
+  }
+
+  get hasBulkProcessing() {
+    return Boolean(this.listeners.length);
+  }
+
+  addListener(callback) {
+    if (typeof callback !== 'function') {
+      throw new Error('Callback must be a function');
+    }
+    this.listeners.push(callback);
+  }
+
+  #notifyListeners(span) {
+    if (this.spans.length > 0) {
+      this.listeners.forEach(listener => listener(this, span));
+    }
+  }
+
+  /**
+   * Create a span in this trace. The span is queued for pushing once it ends.
+   * @param {string} name - The name of the span.
+   * @param {Object} [options={}] - The span options.
+   * @returns {Span} The created span.
+   */
+  createSpan(name, options = {}) {
+    const span = new Span(name, {
+      ...options,
+      serviceName: options.serviceName || this.serviceName,
+      traceId: this.traceId
+    });
+    return this.addSpan(span);
+  }
+
+  /**
+   * Add an existing span to this trace. The span is queued for pushing once it ends.
+   * @param {Span} span - The span to add.
+   * @returns {Span} The added span.
+   */
+  addSpan(span) {
+    if (this.#closed) {
+      throw new Error('Trace is closed');
+    }
+    if (!(span instanceof Span)) {
+      throw new Error('span must be a Span instance');
+    }
+    if (span.traceId !== this.traceId) {
+      throw new Error(`Span trace ID ${span.traceId} does not match trace ${this.traceId}`);
+    }
+    if (span.ended) {
+      this.#enqueue(span);
+    } else {
+      this.#openSpans++;
+      span.addListener(ended => {
+        this.#openSpans--;
+        this.#enqueue(ended);
+      });
+    }
+    return span;
+  }
+
+  #enqueue(span) {
+    // Spans ending after close, e.g. during shutdown, are dropped rather than failing `span.end()`.
+    if (this.#closed) return;
+    this.spans.push(span);
+    this.#notifyListeners(span);
+  }
+
+  collect() {
+    const collectedSpans = this.spans;
+    this.#collectedSpans = this.spans;
+    this.spans = [];
+    return collectedSpans;
+  }
+
+  confirm() {
+    this.#collectedSpans = [];
+  }
+
+  undo() {
+    this.spans = this.#collectedSpans.concat(this.spans);
+    this.#collectedSpans = [];
+  }
+
+  reset() {
+    this.spans = [];
+    this.#collectedSpans = [];
+  }
+
+  /**
+   * Reject further spans; spans ending from now on are dropped. Queued spans can still be collected and pushed.
+   */
+  close() {
+    this.#closed = true;
+  }
+}
+
+module.exports = Trace;
@@ -0,0 +1,107 @@
+const { ValidationError } = require('../types');
+
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const DURATION = /^(\d+(ms|s|m|h|d|w|y))+$/;
+const MATCH_OPERATORS = { eq: '=', ne: '!=', re: '=~', nre: '!~' };
+
+/**
+ * Quote a string literal, escaping backslashes, quotes and line breaks.
+ * @param {*} value - The value.
+ * @returns {string} The double-quoted literal.
+ */
+function quote(value) {
+  return JSON.stringify(String(value));
+}
+
+/**
+ * Escape regular expression metacharacters so a value matches literally.
+ * @param {*} value - The value.
+ * @returns {string} The escaped value.
+ */
+function escapeRegex(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Check a label name.
+ * @param {string} name - The label name.
+ * @returns {string} The name.
+ * @throws {ValidationError} If the name is invalid.
+ */
+function labelName(name) {
+  if (!LABEL_NAME.test(name)) {
+    throw new ValidationError(`Invalid label name: ${JSON.stringify(name)}`, { field: name });
+  }
+  return name;
+}
+
+/**
+ * Format a duration: a duration string such as `5m` or `1h30m`, or a number of seconds.
+ * @param {string|number} value - The duration.
+ * @returns {string} The duration literal.
+ * @throws {ValidationError} If the duration is invalid.
+ */
+function duration(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value > 0) return `${value}s`;
+  if (typeof value === 'string' && DURATION.test(value)) return value;
+  throw new ValidationError(`Invalid duration: ${JSON.stringify(value)}`, { field: 'duration' });
+}
+
+/**
+ * Build a label matcher.
+ * @param {string} name - The label name.
+ * @param {string} operator - `=`, `!=`, `=~` or `!~`.
+ * @param {string|number|RegExp} value - The value, or a RegExp for the regex operators.
+ * @returns {string} The matcher.
+ */
+function matcher(name, operator, value) {
+  if (!Object.values(MATCH_OPERATORS).includes(operator)) {
+    throw new ValidationError(`Invalid matcher operator: ${operator}`, { field: name });
+  }
+  return `${labelName(name)}${operator}${quote(value instanceof RegExp ? value.source : value)}`;
+}
+
+/**
+ * Build label matchers from an object. A string or number matches exactly, a RegExp with `=~`,
+ * an array matches any of its values and `{ ne }`, `{ re }`, `{ nre }` or `{ eq }` choose the operator.
+ * @param {Object} matchers - The matchers by label name.
+ * @returns {string[]} The matchers.
+ */
+function matchers(matchers) {
+  return Object.entries(matchers).map(([name, value]) => {
+    if (value instanceof RegExp) return matcher(name, '=~', value);
+    if (Array.isArray(value)) return matcher(name, '=~', value.map(escapeRegex).join('|'));
+    if (value !== null && typeof value === 'object') {
+      const entries = Object.entries(value);
+      if (entries.length !== 1 || !MATCH_OPERATORS[entries[0][0]]) {
+        throw new ValidationError(`Invalid matcher for ${name}, use one of eq, ne, re or nre`, { field: name });
+      }
+      return matcher(name, MATCH_OPERATORS[entries[0][0]], entries[0][1]);
+    }
+    if (value === undefined || value === null) {
+      throw new ValidationError(`Matcher ${name} has no value`, { field: name });
+    }
+    return matcher(name, '=', value);
+  });
+}
+
+/**
+ * Normalize `where(object)` and `where(name, operator, value)` arguments to matchers.
+ * @param {Array} args - The `where()` arguments.
+ * @returns {string[]} The matchers.
+ */
+function whereMatchers(args) {
+  if (args.length === 3) return [matcher(...args)];
+  if (args.length === 1 && args[0] !== null && typeof args[0] === 'object') return matchers(args[0]);
+  throw new ValidationError('where() takes a matchers object or a name, operator and value');
+}
+
+module.exports = {
+  quote,
+  escapeRegex,
+  labelName,
+  duration,
+  matcher,
+  matchers,
+  whereMatchers
+};
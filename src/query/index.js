@@ -0,0 +1,10 @@
+const { promql, Expression, Selector } = require("./promql");
+const { logql, LogQuery } = require("./logql");
+
+module.exports = {
+  promql,
+  logql,
+  Expression,
+  Selector,
+  LogQuery
+}
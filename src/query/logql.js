@@ -0,0 +1,253 @@
+const { ValidationError } = require('../types');
+const { Expression } = require('./promql');
+const { quote, labelName, duration, matcher, matchers } = require('./format');
+
+const OVER_TIME = ['avg', 'min', 'max', 'sum', 'first', 'last', 'stddev', 'stdvar', 'rate_counter'];
+const NUMERIC_OPERATORS = ['=', '==', '!=', '>', '>=', '<', '<='];
+// A number with an optional unit, as used for durations and bytes in label filters.
+const NUMERIC_VALUE = /^-?\d+(\.\d+)?([a-zA-Z]+)?$/;
+
+/**
+ * An immutable LogQL log query: a stream selector followed by a pipeline. Every method returns a new query;
+ * `toString()` gives the query, so it can be passed directly to the Loki reader and `tail()`.
+ * Range functions such as `rate()` turn it into a metric query {@link Expression}.
+ */
+class LogQuery {
+  /**
+   * @param {string} selector - The stream selector, e.g. `{job="api"}`.
+   * @param {string[]} [stages=[]] - The pipeline stages.
+   */
+  constructor(selector, stages = []) {
+    this.selector = selector;
+    this.stages = stages;
+  }
+
+  toString() {
+    return [this.selector, ...this.stages].join(' ');
+  }
+
+  #pipe(stage) {
+    return new LogQuery(this.selector, this.stages.concat(stage));
+  }
+
+  /**
+   * Keep lines containing the text.
+   * @param {string} text - The text.
+   * @returns {LogQuery}
+   */
+  contains(text) {
+    return this.#pipe(`|= ${quote(text)}`);
+  }
+
+  /**
+   * Drop lines containing the text.
+   * @param {string} text - The text.
+   * @returns {LogQuery}
+   */
+  notContains(text) {
+    return this.#pipe(`!= ${quote(text)}`);
+  }
+
+  /**
+   * Keep lines matching the regular expression.
+   * @param {RegExp|string} regex - The regular expression.
+   * @returns {LogQuery}
+   */
+  matches(regex) {
+    return this.#pipe(`|~ ${quote(regex instanceof RegExp ? regex.source : regex)}`);
+  }
+
+  /**
+   * Drop lines matching the regular expression.
+   * @param {RegExp|string} regex - The regular expression.
+   * @returns {LogQuery}
+   */
+  notMatches(regex) {
+    return this.#pipe(`!~ ${quote(regex instanceof RegExp ? regex.source : regex)}`);
+  }
+
+  /**
+   * Parse JSON lines into labels.
+   * @param {Object} [fields] - Extract only these labels, by label name and JSON path, e.g. `{ status: 'response.status' }`.
+   * @returns {LogQuery}
+   */
+  json(fields) {
+    if (!fields) return this.#pipe('| json');
+    const params = Object.entries(fields).map(([name, path]) => `${labelName(name)}=${quote(path)}`);
+    return this.#pipe(`| json ${params.join(', ')}`);
+  }
+
+  /**
+   * Parse logfmt lines into labels.
+   * @returns {LogQuery}
+   */
+  logfmt() {
+    return this.#pipe('| logfmt');
+  }
+
+  /**
+   * Extract labels with a pattern, e.g. `<ip> - - <_> "<method> <uri> <_>"`.
+   * @param {string} pattern - The pattern.
+   * @returns {LogQuery}
+   */
+  pattern(pattern) {
+    return this.#pipe(`| pattern ${quote(pattern)}`);
+  }
+
+  /**
+   * Extract labels with the named groups of a regular expression.
+   * @param {RegExp|string} regex - The regular expression.
+   * @returns {LogQuery}
+   */
+  regexp(regex) {
+    return this.#pipe(`| regexp ${quote(regex instanceof RegExp ? regex.source : regex)}`);
+  }
+
+  /**
+   * Unpack lines packed by Promtail's pack stage.
+   * @returns {LogQuery}
+   */
+  unpack() {
+    return this.#pipe('| unpack');
+  }
+
+  /**
+   * Filter by extracted labels, as a matchers object or as `where(name, operator, value)`.
+   * Numbers, durations and byte sizes are compared numerically with `==`, `!=`, `>`, `>=`, `<` and `<=`.
+   * @param {...*} args - The filters.
+   * @returns {LogQuery}
+   */
+  where(...args) {
+    if (args.length === 1 && args[0] !== null && typeof args[0] === 'object') {
+      return matchers(args[0]).reduce((query, filter) => query.#pipe(`| ${filter}`), this);
+    }
+    if (args.length !== 3) {
+      throw new ValidationError('where() takes a filters object or a name, operator and value');
+    }
+    const [name, operator, value] = args;
+    if (typeof value === 'number' || ['==', '>', '>=', '<', '<='].includes(operator)) {
+      if (!NUMERIC_OPERATORS.includes(operator) || !NUMERIC_VALUE.test(String(value))) {
+        throw new ValidationError(`Invalid numeric filter: ${name} ${operator} ${value}`, { field: name });
+      }
+      return this.#pipe(`| ${labelName(name)} ${operator} ${value}`);
+    }
+    return this.#pipe(`| ${matcher(name, operator, value)}`);
+  }
+
+  /**
+   * Rewrite the line with a template, e.g. `{{.method}} {{.uri}}`.
+   * @param {string} template - The template.
+   * @returns {LogQuery}
+   */
+  lineFormat(template) {
+    return this.#pipe(`| line_format ${quote(template)}`);
+  }
+
+  /**
+   * Set labels from templates, e.g. `{ route: '{{.method}} {{.path}}' }`.
+   * @param {Object} templates - The templates by label name.
+   * @returns {LogQuery}
+   */
+  labelFormat(templates) {
+    const params = Object.entries(templates).map(([name, template]) => `${labelName(name)}=${quote(template)}`);
+    return this.#pipe(`| label_format ${params.join(', ')}`);
+  }
+
+  /**
+   * Remove labels.
+   * @param {...string} labels - The label names.
+   * @returns {LogQuery}
+   */
+  drop(...labels) {
+    return this.#pipe(`| drop ${labels.map(labelName).join(', ')}`);
+  }
+
+  /**
+   * Keep only these labels.
+   * @param {...string} labels - The label names.
+   * @returns {LogQuery}
+   */
+  keep(...labels) {
+    return this.#pipe(`| keep ${labels.map(labelName).join(', ')}`);
+  }
+
+  /**
+   * Use a label as the sample value of unwrapped range aggregations.
+   * @param {string} label - The label name.
+   * @param {string} [conversion] - `bytes`, `duration` or `duration_seconds` to convert the value.
+   * @returns {LogQuery}
+   */
+  unwrap(label, conversion) {
+    return this.#pipe(`| unwrap ${conversion ? `${conversion}(${labelName(label)})` : labelName(label)}`);
+  }
+
+  rangeVector(range) {
+    return `${this} [${duration(range)}]`;
+  }
+
+  #rangeFn(name, range) {
+    return new Expression(`${name}(${this.rangeVector(range)})`);
+  }
+
+  rate(range) {
+    return this.#rangeFn('rate', range);
+  }
+
+  countOverTime(range) {
+    return this.#rangeFn('count_over_time', range);
+  }
+
+  bytesRate(range) {
+    return this.#rangeFn('bytes_rate', range);
+  }
+
+  bytesOverTime(range) {
+    return this.#rangeFn('bytes_over_time', range);
+  }
+
+  absentOverTime(range) {
+    return this.#rangeFn('absent_over_time', range);
+  }
+
+  /**
+   * Aggregate unwrapped values over time, e.g. `unwrap('latency').overTime('avg', '5m')`.
+   * @param {string} fn - `avg`, `min`, `max`, `sum`, `first`, `last`, `stddev`, `stdvar` or `rate_counter`.
+   * @param {string|number} range - The range duration.
+   * @returns {Expression}
+   */
+  overTime(fn, range) {
+    if (!OVER_TIME.includes(fn)) {
+      throw new ValidationError(`Unknown over time function: ${fn}`);
+    }
+    return this.#rangeFn(fn === 'rate_counter' ? fn : `${fn}_over_time`, range);
+  }
+
+  /**
+   * @param {number} quantile - The quantile, between 0 and 1.
+   * @param {string|number} range - The range duration.
+   * @returns {Expression} `quantile_over_time(q, <query> [range])` over unwrapped values.
+   */
+  quantileOverTime(quantile, range) {
+    return new Expression(`quantile_over_time(${quantile}, ${this.rangeVector(range)})`);
+  }
+}
+
+const logql = {
+  /**
+   * Select log streams by label matchers.
+   * @param {Object} streamMatchers - The label matchers, see `promql.metric().where()`. At least one is required.
+   * @returns {LogQuery}
+   */
+  stream(streamMatchers) {
+    const formatted = matchers(streamMatchers || {});
+    if (!formatted.length) {
+      throw new ValidationError('A stream selector needs at least one matcher');
+    }
+    return new LogQuery(`{${formatted.join(', ')}}`);
+  }
+};
+
+module.exports = {
+  logql,
+  LogQuery
+};
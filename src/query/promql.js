@@ -0,0 +1,283 @@
+const { ValidationError } = require('../types');
+const { validateMetricName } = require('../utils/labels');
+const { quote, labelName, duration, whereMatchers } = require('./format');
+
+const AGGREGATIONS = ['sum', 'avg', 'min', 'max', 'count', 'group', 'stddev', 'stdvar'];
+const OVER_TIME = ['avg', 'min', 'max', 'sum', 'count', 'last', 'stddev', 'stdvar', 'present'];
+const BINARY_OPERATORS = ['+', '-', '*', '/', '%', '^', '==', '!=', '>', '<', '>=', '<=', 'and', 'or', 'unless'];
+
+const grouping = (keyword, labels) => labels.length ? ` ${keyword} (${labels.map(labelName).join(', ')})` : '';
+
+/**
+ * An immutable PromQL expression. Every method returns a new expression; `toString()` gives the query,
+ * so expressions can be passed directly to `Read.query()` and `Read.queryRange()`.
+ * LogQL metric queries are built from the same class.
+ */
+class Expression {
+  /**
+   * @param {string} expr - The expression text.
+   */
+  constructor(expr) {
+    this.expr = expr;
+  }
+
+  toString() {
+    return this.expr;
+  }
+
+  /**
+   * The expression as a range vector, a subquery for anything but a plain selector.
+   * @param {string|number} range - The range duration.
+   * @returns {string}
+   */
+  rangeVector(range) {
+    return `(${this.expr})[${duration(range)}:]`;
+  }
+
+  /**
+   * Apply a function, such as `abs` or `clamp_min`, with additional arguments after the expression.
+   * Strings are quoted, numbers and expressions are used as they are.
+   * @param {string} name - The function name.
+   * @param {...(string|number|Expression)} args - Additional arguments.
+   * @returns {Expression}
+   */
+  fn(name, ...args) {
+    const rest = args.map(arg => typeof arg === 'string' ? quote(arg) : String(arg));
+    return new Expression(`${name}(${[this.expr, ...rest].join(', ')})`);
+  }
+
+  /**
+   * Apply a range function over the expression, e.g. `rate(<expr>[5m])`.
+   * @param {string} name - The function name.
+   * @param {string|number} range - The range duration.
+   * @returns {Expression}
+   */
+  rangeFn(name, range) {
+    return new Expression(`${name}(${this.rangeVector(range)})`);
+  }
+
+  rate(range) {
+    return this.rangeFn('rate', range);
+  }
+
+  irate(range) {
+    return this.rangeFn('irate', range);
+  }
+
+  increase(range) {
+    return this.rangeFn('increase', range);
+  }
+
+  delta(range) {
+    return this.rangeFn('delta', range);
+  }
+
+  deriv(range) {
+    return this.rangeFn('deriv', range);
+  }
+
+  changes(range) {
+    return this.rangeFn('changes', range);
+  }
+
+  /**
+   * Aggregate over time, e.g. `overTime('avg', '5m')` for `avg_over_time(<expr>[5m])`.
+   * @param {string} fn - `avg`, `min`, `max`, `sum`, `count`, `last`, `stddev`, `stdvar` or `present`.
+   * @param {string|number} range - The range duration.
+   * @returns {Expression}
+   */
+  overTime(fn, range) {
+    if (!OVER_TIME.includes(fn)) {
+      throw new ValidationError(`Unknown over time function: ${fn}`);
+    }
+    return this.rangeFn(`${fn}_over_time`, range);
+  }
+
+  /**
+   * @param {number} quantile - The quantile, between 0 and 1.
+   * @param {string|number} range - The range duration.
+   * @returns {Expression} `quantile_over_time(q, <expr>[range])`.
+   */
+  quantileOverTime(quantile, range) {
+    return new Expression(`quantile_over_time(${quantile}, ${this.rangeVector(range)})`);
+  }
+
+  /**
+   * Aggregate across series.
+   * @param {string} op - The aggregation operator, such as `sum` or `topk`.
+   * @param {Object} [options={}] - The aggregation options.
+   * @param {string[]} [options.by] - Keep these labels.
+   * @param {string[]} [options.without] - Drop these labels.
+   * @param {number|string} [options.param] - The parameter of `topk`, `bottomk`, `quantile` or `count_values`.
+   * @returns {Expression}
+   */
+  aggregate(op, { by = [], without = [], param } = {}) {
+    if (by.length && without.length) {
+      throw new ValidationError('An aggregation takes either by or without labels, not both');
+    }
+    const args = param === undefined ? this.expr : `${typeof param === 'string' ? quote(param) : param}, ${this.expr}`;
+    return new Expression(`${op}${grouping('by', by)}${grouping('without', without)} (${args})`);
+  }
+
+  topk(k, options = {}) {
+    return this.aggregate('topk', { ...options, param: k });
+  }
+
+  bottomk(k, options = {}) {
+    return this.aggregate('bottomk', { ...options, param: k });
+  }
+
+  quantile(q, options = {}) {
+    return this.aggregate('quantile', { ...options, param: q });
+  }
+
+  /**
+   * @param {number} quantile - The quantile, between 0 and 1.
+   * @returns {Expression} `histogram_quantile(q, <expr>)` over bucket rates.
+   */
+  histogramQuantile(quantile) {
+    return new Expression(`histogram_quantile(${quantile}, ${this.expr})`);
+  }
+
+  /**
+   * Combine with another expression or a number.
+   * @param {string} operator - The binary operator, such as `/`, `>` or `and`.
+   * @param {Expression|number} other - The right-hand side.
+   * @param {Object} [options={}] - Vector matching options.
+   * @param {string[]} [options.on] - Match only on these labels.
+   * @param {string[]} [options.ignoring] - Ignore these labels when matching.
+   * @param {string[]} [options.groupLeft] - Many-to-one matching, copying these labels from the right.
+   * @param {string[]} [options.groupRight] - One-to-many matching, copying these labels from the left.
+   * @param {boolean} [options.bool] - Return 0/1 instead of filtering for comparisons.
+   * @returns {Expression}
+   */
+  op(operator, other, { on, ignoring, groupLeft, groupRight, bool } = {}) {
+    if (!BINARY_OPERATORS.includes(operator)) {
+      throw new ValidationError(`Unknown binary operator: ${operator}`);
+    }
+    let modifiers = bool ? ' bool' : '';
+    if (on) modifiers += ` on (${on.map(labelName).join(', ')})`;
+    if (ignoring) modifiers += ` ignoring (${ignoring.map(labelName).join(', ')})`;
+    if (groupLeft) modifiers += ` group_left (${groupLeft.map(labelName).join(', ')})`;
+    if (groupRight) modifiers += ` group_right (${groupRight.map(labelName).join(', ')})`;
+    return new Expression(`(${this.expr}) ${operator}${modifiers} (${other})`);
+  }
+
+  add(other, options) {
+    return this.op('+', other, options);
+  }
+
+  sub(other, options) {
+    return this.op('-', other, options);
+  }
+
+  mul(other, options) {
+    return this.op('*', other, options);
+  }
+
+  div(other, options) {
+    return this.op('/', other, options);
+  }
+}
+
+// sum(), sumBy(...labels) and sumWithout(...labels), and the same for every other aggregation operator.
+for (const op of AGGREGATIONS) {
+  Expression.prototype[op] = function () {
+    return this.aggregate(op);
+  };
+  Expression.prototype[`${op}By`] = function (...labels) {
+    return this.aggregate(op, { by: labels });
+  };
+  Expression.prototype[`${op}Without`] = function (...labels) {
+    return this.aggregate(op, { without: labels });
+  };
+}
+
+/**
+ * An instant vector selector such as `http_requests_total{job="api"}`.
+ * @extends Expression
+ */
+class Selector extends Expression {
+  #offset;
+
+  /**
+   * @param {string} [name] - The metric name.
+   * @param {string[]} [matchers=[]] - The formatted label matchers.
+   * @param {string} [offset] - The offset duration.
+   */
+  constructor(name, matchers = [], offset) {
+    const selector = `${name || ''}${matchers.length || !name ? `{${matchers.join(', ')}}` : ''}`;
+    super(offset ? `${selector} offset ${offset}` : selector);
+    this.name = name;
+    this.matchers = matchers;
+    this.selector = selector;
+    this.#offset = offset;
+  }
+
+  /**
+   * Add label matchers, as an object or as `where(name, operator, value)`.
+   * @param {...*} args - The matchers.
+   * @returns {Selector}
+   */
+  where(...args) {
+    return new Selector(this.name, this.matchers.concat(whereMatchers(args)), this.#offset);
+  }
+
+  /**
+   * Shift the selector back in time.
+   * @param {string|number} value - The offset duration.
+   * @returns {Selector}
+   */
+  offset(value) {
+    return new Selector(this.name, this.matchers, duration(value));
+  }
+
+  rangeVector(range) {
+    return `${this.selector}[${duration(range)}]${this.#offset ? ` offset ${this.#offset}` : ''}`;
+  }
+
+  /**
+   * @param {string|number} value - The range duration.
+   * @returns {Expression} The range vector selector, e.g. `http_requests_total{job="api"}[5m]`.
+   */
+  range(value) {
+    return new Expression(this.rangeVector(value));
+  }
+}
+
+const promql = {
+  /**
+   * Select a metric.
+   * @param {string} name - The metric name.
+   * @param {Object} [matchers] - Label matchers, see `where()`.
+   * @returns {Selector}
+   */
+  metric(name, matchers) {
+    const selector = new Selector(validateMetricName(name, 'throw'));
+    return matchers ? selector.where(matchers) : selector;
+  },
+
+  /**
+   * Select series by label matchers only.
+   * @param {Object} matchers - The label matchers.
+   * @returns {Selector}
+   */
+  selector(matchers) {
+    return new Selector(undefined).where(matchers);
+  },
+
+  /**
+   * Wrap a raw expression.
+   * @param {string|number} expr - The expression text.
+   * @returns {Expression}
+   */
+  expr(expr) {
+    return new Expression(String(expr));
+  }
+};
+
+module.exports = {
+  promql,
+  Expression,
+  Selector
+};
@@ -0,0 +1,195 @@
+const { QrynError } = require('../types');
+
+/**
+ * Base class for authentication providers. A provider returns the headers added to every request and may
+ * refresh its credentials when the server answers 401 Unauthorized, after which the request is sent once more.
+ * Any object with a `headers()` method, and optionally `refresh()`, can be used as a provider.
+ */
+class AuthProvider {
+  /**
+   * Get the authentication headers for a request.
+   * @returns {Object|Promise<Object>} The headers.
+   */
+  headers() {
+    return {};
+  }
+
+  /**
+   * Refresh the credentials after a request was rejected with 401 Unauthorized.
+   * @param {Object} rejected - The authentication headers the rejected request was sent with.
+   * @returns {boolean|Promise<boolean>} Whether the request should be sent again with new headers.
+   */
+  refresh(rejected) {
+    return false;
+  }
+
+  /**
+   * Create a provider from the `auth` client option.
+   * @param {AuthProvider|Object|string|Function} [auth] - A provider, `{ username, password }` for basic auth,
+   *   `{ token }` or a token string for a bearer token, `{ apiKey, header, scheme }` for an API key, or a
+   *   token provider function (also as `{ token: fn }`), see {@link TokenAuth}.
+   * @returns {AuthProvider|null} The provider, or null without authentication.
+   * @throws {QrynError} If the option is not a supported configuration.
+   */
+  static from(auth) {
+    if (auth === undefined || auth === null) return null;
+    if (typeof auth.headers === 'function') return auth;
+    if (typeof auth === 'function') return new TokenAuth(auth);
+    if (typeof auth === 'string') return new BearerAuth(auth);
+    if (typeof auth.token === 'function') return new TokenAuth(auth.token, auth);
+    if (auth.token !== undefined) return new BearerAuth(auth.token);
+    if (auth.apiKey !== undefined) return new ApiKeyAuth(auth.apiKey, auth);
+    if (auth.username !== undefined) return new BasicAuth(auth);
+    throw new QrynError('Unsupported auth configuration, expected username/password, token or apiKey');
+  }
+}
+
+/**
+ * HTTP basic authentication.
+ * @extends AuthProvider
+ */
+class BasicAuth extends AuthProvider {
+  #credentials;
+
+  /**
+   * @param {Object} credentials - The credentials.
+   * @param {string} credentials.username - The username.
+   * @param {string} [credentials.password=''] - The password.
+   */
+  constructor({ username, password = '' }) {
+    super();
+    this.#credentials = Buffer.from(`${username}:${password}`).toString('base64');
+  }
+
+  headers() {
+    return { 'Authorization': `Basic ${this.#credentials}` };
+  }
+}
+
+/**
+ * A static bearer token.
+ * @extends AuthProvider
+ */
+class BearerAuth extends AuthProvider {
+  #token;
+
+  /**
+   * @param {string} token - The token.
+   */
+  constructor(token) {
+    super();
+    if (typeof token !== 'string' || !token) {
+      throw new QrynError('Bearer token must be a non-empty string');
+    }
+    this.#token = token;
+  }
+
+  headers() {
+    return { 'Authorization': `Bearer ${this.#token}` };
+  }
+}
+
+/**
+ * A static API key sent in a header.
+ * @extends AuthProvider
+ */
+class ApiKeyAuth extends AuthProvider {
+  #value;
+
+  /**
+   * @param {string} apiKey - The API key.
+   * @param {Object} [options={}] - The header options.
+   * @param {string} [options.header='X-API-Key'] - The header to send the key in.
+   * @param {string} [options.scheme] - A scheme to prefix the key with, e.g. `ApiKey`.
+   */
+  constructor(apiKey, { header = 'X-API-Key', scheme } = {}) {
+    super();
+    if (typeof apiKey !== 'string' || !apiKey) {
+      throw new QrynError('API key must be a non-empty string');
+    }
+    this.header = header;
+    this.#value = scheme ? `${scheme} ${apiKey}` : apiKey;
+  }
+
+  headers() {
+    return { [this.header]: this.#value };
+  }
+}
+
+/**
+ * A token fetched from an async provider, such as an OAuth client credentials flow. The token is cached
+ * until it expires, and fetched again when a request is rejected with 401 Unauthorized.
+ * Concurrent requests share a single fetch.
+ * @extends AuthProvider
+ */
+class TokenAuth extends AuthProvider {
+  #token = null;
+  #expiresAt = Infinity;
+  #pending = null;
+
+  /**
+   * @param {Function} getToken - Called with `{ refresh }`, `refresh` being true after a 401; resolves to the
+   *   token, or to `{ token, expiresAt }` with `expiresAt` as a Date or milliseconds since the epoch.
+   * @param {Object} [options={}] - The token options.
+   * @param {string} [options.header='Authorization'] - The header to send the token in.
+   * @param {string} [options.scheme='Bearer'] - The scheme to prefix the token with, or an empty string for none.
+   * @param {number} [options.refreshMargin=30000] - Fetch a new token this many milliseconds before it expires.
+   */
+  constructor(getToken, { header = 'Authorization', scheme = 'Bearer', refreshMargin = 30000 } = {}) {
+    super();
+    if (typeof getToken !== 'function') {
+      throw new QrynError('Token provider must be a function');
+    }
+    this.getToken = getToken;
+    this.header = header;
+    this.scheme = scheme;
+    this.refreshMargin = refreshMargin;
+  }
+
+  async headers() {
+    const token = this.#token && Date.now() < this.#expiresAt - this.refreshMargin
+      ? this.#token
+      : await this.#fetch(false);
+    return { [this.header]: this.scheme ? `${this.scheme} ${token}` : token };
+  }
+
+  async refresh(rejected = {}) {
+    if (this.#pending) {
+      await this.#pending;
+      return true;
+    }
+    const current = this.#token && (this.scheme ? `${this.scheme} ${this.#token}` : this.#token);
+    // Another request already replaced the rejected token.
+    if (current !== rejected[this.header]) return true;
+    await this.#fetch(true);
+    return true;
+  }
+
+  #fetch(refresh) {
+    if (!this.#pending) {
+      this.#pending = Promise.resolve()
+        .then(() => this.getToken({ refresh }))
+        .then(result => {
+          const { token, expiresAt } = typeof result === 'string' ? { token: result } : result || {};
+          if (typeof token !== 'string' || !token) {
+            throw new QrynError('Token provider returned no token');
+          }
+          this.#token = token;
+          this.#expiresAt = expiresAt === undefined ? Infinity : new Date(expiresAt).getTime();
+          return token;
+        })
+        .finally(() => {
+          this.#pending = null;
+        });
+    }
+    return this.#pending;
+  }
+}
+
+module.exports = {
+  AuthProvider,
+  BasicAuth,
+  BearerAuth,
+  ApiKeyAuth,
+  TokenAuth
+};
@@ -0,0 +1,95 @@
+const { URL } = require('url');
+const { QrynError } = require('../types');
+
+const STRATEGIES = ['failover', 'round-robin', 'mirror'];
+
+/**
+ * Tracks the health of the qryn endpoints a client talks to and picks the ones to use.
+ * An endpoint's circuit opens after `failureThreshold` consecutive failures and lets a
+ * single request through again once `resetTimeout` has passed.
+ */
+class EndpointPool {
+  #next = 0;
+
+  /**
+   * Create an EndpointPool.
+   * @param {string|string[]} baseUrls - The base URL(s) of the qryn servers.
+   * @param {Object} [options={}] - The pool options.
+   * @param {string} [options.strategy='failover'] - `failover`, `round-robin` or `mirror`.
+   * @param {number} [options.failureThreshold=3] - Consecutive failures before an endpoint is skipped.
+   * @param {number} [options.resetTimeout=30000] - How long a failing endpoint is skipped in milliseconds.
+   */
+  constructor(baseUrls, { strategy = 'failover', failureThreshold = 3, resetTimeout = 30000 } = {}) {
+    baseUrls = Array.isArray(baseUrls) ? baseUrls : [baseUrls];
+    if (!baseUrls.length) {
+      throw new QrynError('At least one baseUrl is required');
+    }
+    if (!STRATEGIES.includes(strategy)) {
+      throw new QrynError(`Strategy must be one of ${STRATEGIES.join(', ')}`);
+    }
+    this.strategy = strategy;
+    this.failureThreshold = failureThreshold;
+    this.resetTimeout = resetTimeout;
+    this.endpoints = baseUrls.map(baseUrl => ({ url: new URL(baseUrl), failures: 0, openUntil: 0, probing: false }));
+  }
+
+  #isAvailable(endpoint) {
+    return endpoint.failures < this.failureThreshold || (!endpoint.probing && Date.now() >= endpoint.openUntil);
+  }
+
+  /**
+   * Get the endpoints to try for a request, in order.
+   * Endpoints with an open circuit are skipped unless no other endpoint is available.
+   * @returns {Object[]} The endpoints.
+   */
+  select() {
+    let ordered = this.endpoints;
+    if (this.strategy === 'round-robin') {
+      const start = this.#next++ % this.endpoints.length;
+      ordered = this.endpoints.slice(start).concat(this.endpoints.slice(0, start));
+    }
+    const available = ordered.filter(endpoint => this.#isAvailable(endpoint));
+    return available.length ? available : ordered;
+  }
+
+  /**
+   * Claim an endpoint before sending a request to it. Once `resetTimeout` has passed, a failing endpoint
+   * accepts a single probe request; others are refused until the probe succeeds or fails.
+   * @param {Object} endpoint - An endpoint returned by `select()`.
+   * @returns {boolean} Whether the request may be sent to the endpoint.
+   */
+  acquire(endpoint) {
+    if (endpoint.failures < this.failureThreshold) return true;
+    if (endpoint.probing) return false;
+    if (Date.now() >= endpoint.openUntil) endpoint.probing = true;
+    return true;
+  }
+
+  success(endpoint) {
+    endpoint.failures = 0;
+    endpoint.openUntil = 0;
+    endpoint.probing = false;
+  }
+
+  failure(endpoint) {
+    endpoint.failures++;
+    endpoint.probing = false;
+    if (endpoint.failures >= this.failureThreshold) {
+      endpoint.openUntil = Date.now() + this.resetTimeout;
+    }
+  }
+
+  /**
+   * Get the health of every endpoint.
+   * @returns {Array<{url: string, healthy: boolean, failures: number}>}
+   */
+  get health() {
+    return this.endpoints.map(endpoint => ({
+      url: endpoint.url.toString(),
+      healthy: endpoint.failures < this.failureThreshold,
+      failures: endpoint.failures
+    }));
+  }
+}
+
+module.exports = EndpointPool;
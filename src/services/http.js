@@ -1,6 +1,44 @@
-const { QrynError } = require('../types');
+const { QrynError, NetworkError } = require('../types');
 const { URL } = require('url');
+const { promisify } = require('util');
+const zlib = require('zlib');
+const WebSocket = require('ws');
+const { Agent } = require('undici');
 const QrynResponse = require('../types/qrynResponse');
+const RetryPolicy = require('./retry');
+const EndpointPool = require('./endpoints');
+const { AuthProvider } = require('./auth');
+
+const COMPRESSORS = {
+  gzip: promisify(zlib.gzip),
+  deflate: promisify(zlib.deflate),
+  // zstd is only available in newer Node.js releases.
+  ...(zlib.zstdCompress && { zstd: promisify(zlib.zstdCompress) })
+};
+
+const HOOKS = ['onRequest', 'onResponse', 'onError'];
+
+// Header names are case-insensitive: a later source replaces a header whatever the case of its name.
+const mergeHeaders = (...sources) => {
+  const headers = {};
+  for (const source of sources) {
+    for (const [name, value] of Object.entries(source || {})) {
+      const existing = Object.keys(headers).find(key => key.toLowerCase() === name.toLowerCase());
+      if (existing !== undefined) delete headers[existing];
+      headers[name] = value;
+    }
+  }
+  return headers;
+};
+
+const hasHeader = (headers, name) => Object.keys(headers).some(key => key.toLowerCase() === name.toLowerCase());
+
+const bodySize = body => {
+  if (body === undefined || body === null) return 0;
+  if (typeof body === 'string') return Buffer.byteLength(body);
+  if (body instanceof URLSearchParams) return Buffer.byteLength(body.toString());
+  return body.byteLength ?? 0;
+};
 
 /**
  * Handles HTTP requests for QrynClient.
@@ -9,73 +47,273 @@ class Http {
   baseUrl = null;
   timeout = null;
   headers = null;
-  basicAuth = null;
+  auth = null;
+  tls = null;
+  dispatcher = null;
+  interceptors = [];
+  compression = null;
+  retry = null;
+  endpoints = null;
 
   /**
    * Create an HttpClient.
-   * @param {string} baseUrl - The base URL for the qryn server.
+   * @param {string|string[]} baseUrl - The base URL(s) for the qryn server(s).
    * @param {number} timeout - The timeout for requests in milliseconds.
    * @param {Object} headers - Headers to send with requests.
+   * @param {AuthProvider|Object|string|Function} [auth] - The authentication, see {@link AuthProvider.from}.
+   * @param {Object} [options={}] - Additional transport options.
+   * @param {string} [options.compression] - Compress request bodies with `gzip`, `deflate` or `zstd`.
+   * @param {RetryPolicy|Object|boolean} [options.retry=false] - The retry policy for requests, or its options.
+   * @param {string} [options.strategy='failover'] - How to use multiple base URLs: `failover`, `round-robin` or `mirror`.
+   * @param {Object} [options.circuitBreaker] - Per endpoint circuit breaker options, see {@link EndpointPool}.
+   * @param {Object} [options.tls] - TLS options for HTTPS and WebSocket connections, such as `cert`, `key`
+   *   and `passphrase` for a client certificate, `ca` for a custom CA and `rejectUnauthorized`.
+   * @param {Object} [options.dispatcher] - An undici dispatcher for all HTTP requests. Takes precedence over `tls`.
+   * @param {Object[]} [options.interceptors] - Interceptors to add, see {@link Http#use}.
    */
-  constructor(baseUrl, timeout, headers, auth) {
-    this.baseUrl = new URL(baseUrl);
+  constructor(baseUrl, timeout, headers, auth, options = {}) {
+    this.endpoints = new EndpointPool(baseUrl, { strategy: options.strategy, ...options.circuitBreaker });
+    this.baseUrl = this.endpoints.endpoints[0].url;
     this.timeout = timeout;
     this.headers = headers;
-    this.#setBasicAuth(auth)
+    this.auth = AuthProvider.from(auth);
+    if (options.tls) this.tls = options.tls;
+    this.dispatcher = options.dispatcher || (options.tls ? new Agent({ connect: options.tls }) : null);
+    if (options.compression) {
+      if (!COMPRESSORS[options.compression]) {
+        throw new QrynError(`Unsupported compression: ${options.compression}`);
+      }
+      this.compression = options.compression;
+    }
+    this.retry = RetryPolicy.from(options.retry ?? false);
+    (options.interceptors || []).forEach(interceptor => this.use(interceptor));
+  }
+
+  /**
+   * Add an interceptor. Interceptors are called in the order they were added, for every attempt of a request
+   * (including retries and endpoint failover), with a context object:
+   * - `onRequest(context)` before the request is sent, with `method`, `url`, `path`, `headers` and `bodySize`.
+   *   Headers can be changed in place, e.g. to inject tracing headers.
+   * - `onResponse(context)` after a successful response, with `status`, `duration` in milliseconds and `response`.
+   * - `onError(context)` after a failed attempt, with `error`, `duration` and `status` (null for network errors).
+   * Hooks may return a promise. An error thrown by a hook fails the request.
+   * @param {Object} interceptor - The interceptor, with at least one of the hooks.
+   * @param {Function} [interceptor.onRequest] - Called before the request is sent.
+   * @param {Function} [interceptor.onResponse] - Called after a successful response.
+   * @param {Function} [interceptor.onError] - Called after a failed attempt.
+   * @returns {Function} A function that removes the interceptor.
+   * @throws {QrynError} If the interceptor has no hooks.
+   */
+  use(interceptor) {
+    if (!interceptor || !HOOKS.some(hook => typeof interceptor[hook] === 'function')) {
+      throw new QrynError(`An interceptor needs at least one of ${HOOKS.join(', ')}`);
+    }
+    this.interceptors.push(interceptor);
+    return () => {
+      const index = this.interceptors.indexOf(interceptor);
+      if (index !== -1) this.interceptors.splice(index, 1);
+    };
+  }
+
+  async #intercept(hook, context) {
+    for (const interceptor of [...this.interceptors]) {
+      if (typeof interceptor[hook] === 'function') await interceptor[hook](context);
+    }
   }
 
   /**
-   * Set basic authentication credentials.
-   * @param {string} username - The username for basic auth.
-   * @param {string} password - The password for basic auth.
+   * Get the headers of the authentication provider.
+   * @returns {Promise<Object>} The authentication headers.
+   * @throws {QrynError} If the provider fails, e.g. a token cannot be fetched.
    */
-  #setBasicAuth({username, password}) {
-    this.basicAuth = Buffer.from(`${username}:${password}`).toString('base64');
+  async #authHeaders() {
+    if (!this.auth) return {};
+    try {
+      return await this.auth.headers();
+    } catch (error) {
+      if (error instanceof QrynError) throw error;
+      throw new QrynError(`Authentication failed: ${error.message}`, null, error);
+    }
   }
 
   /**
    * Make an HTTP request.
+   * Failed attempts are retried according to the retry policy; network failures are thrown as NetworkError.
    * @param {string} path - The path to append to the base URL.
    * @param {Object} options - The options for the fetch request.
+   * @param {string} [options.responseType] - Set to `buffer` to receive the raw response body as a Buffer.
+   * @param {RetryPolicy|Object|boolean} [options.retry] - Overrides the retry policy for this request.
    * @returns {Promise<Object>} The parsed JSON response.
    * @throws {QrynError} If the request fails or returns a non-OK status.
    */
-  async request(path, options = {}) {
-    const url = new URL(path, this.baseUrl);
-    const headers = { ...this.headers, ...options.headers };
-    let res = {};
+  async request(path, { responseType, retry, ...options } = {}) {
+    const headers = mergeHeaders(this.headers, options.headers);
 
-    // Add Authorization header if basic auth is set
-    if (this.basicAuth) {
-      headers['Authorization'] = `Basic ${this.basicAuth}`;
+    let body = options.body;
+    // Bodies that already carry an encoding (e.g. snappy remote write) are sent as is.
+    if (this.compression && body && !hasHeader(headers, 'Content-Encoding')) {
+      if (body instanceof URLSearchParams) body = body.toString();
+      if (typeof body === 'string' || body instanceof Uint8Array) {
+        body = await COMPRESSORS[this.compression](body);
+        headers['Content-Encoding'] = this.compression;
+      }
+    }
+    if (this.compression && !hasHeader(headers, 'Accept-Encoding')) {
+      headers['Accept-Encoding'] = 'gzip, deflate, br';
     }
 
+    const policy = retry === undefined ? this.retry : RetryPolicy.from(retry);
+    return policy.execute(() => this.#dispatch(path, { ...options, body, headers }, responseType, policy));
+  }
+
+  /**
+   * Send a request to the endpoints picked by the endpoint strategy.
+   * Writes are sent to every available endpoint with the `mirror` strategy and succeed if one accepts them;
+   * otherwise endpoints are tried in turn until one responds with a non-retryable result.
+   * Endpoints whose circuit is probed by another request are skipped.
+   */
+  async #dispatch(path, options, responseType, policy) {
+    const endpoints = this.endpoints.select();
+    const send = async endpoint => {
+      try {
+        const res = await this.#send(new URL(path, endpoint.url), path, options, responseType);
+        this.endpoints.success(endpoint);
+        return res;
+      } catch (error) {
+        if (policy.isRetryable(error)) this.endpoints.failure(endpoint);
+        else this.endpoints.success(endpoint);
+        throw error;
+      }
+    };
+
+    const method = (options.method || 'GET').toUpperCase();
+    if (this.endpoints.strategy === 'mirror' && method !== 'GET') {
+      const claimed = endpoints.filter(endpoint => this.endpoints.acquire(endpoint));
+      if (claimed.length) {
+        const results = await Promise.allSettled(claimed.map(send));
+        const accepted = results.find(result => result.status === 'fulfilled');
+        if (accepted) return accepted.value;
+        throw results[0].reason;
+      }
+    } else {
+      let lastError;
+      for (const endpoint of endpoints) {
+        if (!this.endpoints.acquire(endpoint)) continue;
+        try {
+          return await send(endpoint);
+        } catch (error) {
+          if (!policy.isRetryable(error)) throw error;
+          lastError = error;
+        }
+      }
+      if (lastError) throw lastError;
+    }
+    throw new NetworkError('No endpoint available: every circuit is open and being probed', { path });
+  }
+
+  /**
+   * Send a single attempt of a request through the interceptors, refreshing the authentication once on 401.
+   */
+  async #send(url, path, options, responseType, refreshed = false) {
+    // Authentication headers are resolved per attempt, so a refreshed token is picked up by retries.
+    const authHeaders = await this.#authHeaders();
+    const context = {
+      method: (options.method || 'GET').toUpperCase(),
+      url: url.toString(),
+      path,
+      headers: { ...options.headers, ...authHeaders },
+      bodySize: bodySize(options.body)
+    };
+    await this.#intercept('onRequest', context);
+
+    const start = performance.now();
+    let res;
+    try {
+      res = await this.#fetch(url, path, { ...options, headers: context.headers }, responseType);
+    } catch (error) {
+      context.duration = performance.now() - start;
+      context.status = error instanceof NetworkError ? null : error.statusCode;
+      context.error = error;
+      await this.#intercept('onError', context);
+
+      if (context.status === 401 && !refreshed && this.auth?.refresh) {
+        let retry;
+        try {
+          retry = await this.auth.refresh(authHeaders);
+        } catch (refreshError) {
+          throw new QrynError(`Authentication refresh failed: ${refreshError.message}`, 401, refreshError, path);
+        }
+        if (retry) return this.#send(url, path, options, responseType, true);
+      }
+      throw error;
+    }
+    context.duration = performance.now() - start;
+    context.status = res.status;
+    context.response = res;
+    await this.#intercept('onResponse', context);
+    return res;
+  }
+
+  async #fetch(url, path, options, responseType) {
+    const { headers } = options;
+    let res = {};
     const fetchOptions = {
       ...options,
-      headers,
+      ...(this.dispatcher && { dispatcher: this.dispatcher }),
       signal: AbortSignal.timeout(this.timeout)
     };
 
+    let response;
     try {
-      const response = await fetch(url.toString(), fetchOptions);
-
-
-      if(headers['Content-Type'] === 'application/x-www-form-urlencoded'){
-        res = await response.json();
-      }
+      response = await fetch(url.toString(), fetchOptions);
 
-      if (!response.ok) {
-        let message = `HTTP error! status: ${response.status}`
-        throw new QrynError(message, response.status, res, path);
+      if(responseType === 'buffer'){
+        res = Buffer.from(await response.arrayBuffer());
+      } else if(headers['Content-Type'] === 'application/x-www-form-urlencoded' ||
+        response.headers.get('Content-Type')?.includes('application/json')){
+        const text = await response.text();
+        try {
+          res = text ? JSON.parse(text) : {};
+        } catch (error) {
+          // Error pages are not always JSON; keep the raw text for the error below.
+          if (response.ok) throw new QrynError(`Invalid JSON response: ${error.message}`, response.status, text, path);
+          res = text;
+        }
       }
-      
-      return new QrynResponse(res, response.status, response.headers, path)
-      
     } catch (error) {
       if(error instanceof QrynError)
         throw error;
-      throw new QrynError(`Request failed: ${error.message} ${error?.cause?.message}`, 400, error.cause, path);    
+      throw new NetworkError(`Request failed: ${error.message} ${error?.cause?.message}`, { statusCode: null, cause: error.cause, path });
+    }
+
+    if (!response.ok) {
+      let message = `HTTP error! status: ${response.status}`
+      const error = new QrynError(message, response.status, res, path);
+      error.retryAfter = RetryPolicy.parseRetryAfter(response.headers.get('Retry-After'));
+      throw error;
     }
+
+    return new QrynResponse(res, response.status, response.headers, path)
+  }
+
+  /**
+   * Open a WebSocket connection.
+   * @param {string} path - The path to append to the base URL.
+   * @param {Object} [options] - The options for the connection.
+   * @param {Object} [options.headers] - Additional headers to send with the upgrade request.
+   * @returns {Promise<WebSocket>} The WebSocket connection.
+   * @throws {QrynError} If the authentication headers cannot be resolved.
+   */
+  async websocket(path, options = {}) {
+    const url = new URL(path, this.endpoints.select()[0].url);
+    url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+    const headers = { ...options.headers, ...(await this.#authHeaders()) };
+
+    return new WebSocket(url.toString(), {
+      ...this.tls,
+      headers,
+      handshakeTimeout: this.timeout
+    });
   }
 }
 
@@ -7,16 +7,126 @@ class ProtobufHandler {
   constructor() {
     this.protoRoot = protobuf.loadSync(path.resolve(__dirname, './remote.proto'));
     this.WriteRequest = this.protoRoot.lookupType('WriteRequest');
+    this.ReadRequest = this.protoRoot.lookupType('ReadRequest');
+    this.ReadResponse = this.protoRoot.lookupType('ReadResponse');
+    this.remoteV2Root = protobuf.loadSync(path.resolve(__dirname, './remote_v2.proto'));
+    this.WriteRequestV2 = this.remoteV2Root.lookupType('io.prometheus.write.v2.Request');
+    this.lokiRoot = protobuf.loadSync(path.resolve(__dirname, './loki.proto'));
+    this.PushRequest = this.lokiRoot.lookupType('PushRequest');
+    this.otlpRoot = protobuf.loadSync(path.resolve(__dirname, './otlp.proto'));
+    this.ExportTraceServiceRequest = this.otlpRoot.lookupType('ExportTraceServiceRequest');
+    this.ExportLogsServiceRequest = this.otlpRoot.lookupType('ExportLogsServiceRequest');
+    this.ExportMetricsServiceRequest = this.otlpRoot.lookupType('ExportMetricsServiceRequest');
   }
 
-  encodeWriteRequest(timeseries) {
-    const writeRequest = this.WriteRequest.create(timeseries);
-    return this.WriteRequest.encode(writeRequest).finish();
+  /**
+   * Encode a Remote Write 1.0 request.
+   * @param {Object} writeRequest - The WriteRequest with `timeseries` and optional `metadata`.
+   * @returns {Uint8Array} The encoded request.
+   */
+  encodeWriteRequest(writeRequest) {
+    const message = this.WriteRequest.fromObject(writeRequest);
+    return this.WriteRequest.encode(message).finish();
+  }
+
+  /**
+   * Encode a Remote Write 2.0 request.
+   * @param {Object} request - The Request with its `symbols` table and `timeseries` referencing it.
+   * @returns {Uint8Array} The encoded request.
+   */
+  encodeWriteRequestV2(request) {
+    const message = this.WriteRequestV2.fromObject(request);
+    return this.WriteRequestV2.encode(message).finish();
+  }
+
+  /**
+   * Encode a Loki push request.
+   * @param {Object} pushRequest - The PushRequest with `{ labels, entries: [{ timestamp: { seconds, nanos }, line }] }` streams.
+   * @returns {Uint8Array} The encoded request.
+   */
+  encodePushRequest(pushRequest) {
+    const message = this.PushRequest.fromObject(pushRequest);
+    return this.PushRequest.encode(message).finish();
+  }
+
+  encodeReadRequest(queries) {
+    const readRequest = this.ReadRequest.fromObject(queries);
+    return this.ReadRequest.encode(readRequest).finish();
+  }
+
+  /**
+   * Decode a remote read response.
+   * @param {Uint8Array} buffer - The uncompressed ReadResponse.
+   * @returns {Object} The decoded response with int64 timestamps as numbers.
+   */
+  decodeReadResponse(buffer) {
+    const readResponse = this.ReadResponse.decode(buffer);
+    return this.ReadResponse.toObject(readResponse, { longs: Number, defaults: true });
+  }
+
+  /**
+   * Decode a Tempo trace. Tempo's `Trace` message holds the resource spans in field 1 (`batches`),
+   * like the OTLP trace export request, so it is decoded with the same type.
+   * @param {Uint8Array} buffer - The encoded trace.
+   * @returns {Object} The trace as `{ batches }`, in the JSON shape with base64 IDs and string timestamps.
+   */
+  decodeTrace(buffer) {
+    const message = this.ExportTraceServiceRequest.decode(buffer);
+    const trace = this.ExportTraceServiceRequest.toObject(message, { longs: String, bytes: String, enums: String });
+    return { batches: trace.resourceSpans || [] };
+  }
+
+  /**
+   * Encode an OTLP JSON trace export request as protobuf.
+   * Trace and span IDs are hex strings in OTLP JSON and raw bytes in protobuf.
+   * @param {Object} request - The ExportTraceServiceRequest in its JSON shape.
+   * @returns {Uint8Array} The encoded request.
+   */
+  encodeTraceRequest(request) {
+    const toBytes = id => id ? Buffer.from(id, 'hex') : undefined;
+    const resourceSpans = request.resourceSpans.map(resourceSpan => ({
+      ...resourceSpan,
+      scopeSpans: resourceSpan.scopeSpans.map(scopeSpan => ({
+        ...scopeSpan,
+        spans: scopeSpan.spans.map(span => ({
+          ...span,
+          traceId: toBytes(span.traceId),
+          spanId: toBytes(span.spanId),
+          parentSpanId: toBytes(span.parentSpanId)
+        }))
+      }))
+    }));
+    const message = this.ExportTraceServiceRequest.fromObject({ resourceSpans });
+    return this.ExportTraceServiceRequest.encode(message).finish();
+  }
+
+  /**
+   * Encode an OTLP JSON logs export request as protobuf.
+   * @param {Object} request - The ExportLogsServiceRequest in its JSON shape.
+   * @returns {Uint8Array} The encoded request.
+   */
+  encodeLogsRequest(request) {
+    const message = this.ExportLogsServiceRequest.fromObject(request);
+    return this.ExportLogsServiceRequest.encode(message).finish();
+  }
+
+  /**
+   * Encode an OTLP JSON metrics export request as protobuf.
+   * @param {Object} request - The ExportMetricsServiceRequest in its JSON shape.
+   * @returns {Uint8Array} The encoded request.
+   */
+  encodeMetricsRequest(request) {
+    const message = this.ExportMetricsServiceRequest.fromObject(request);
+    return this.ExportMetricsServiceRequest.encode(message).finish();
   }
 
   async compressBuffer(buffer) {
     return await snappy.compress(buffer);
   }
+
+  async decompressBuffer(buffer) {
+    return await snappy.uncompress(buffer);
+  }
 }
 
 module.exports = ProtobufHandler;
\ No newline at end of file
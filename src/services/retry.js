@@ -0,0 +1,116 @@
+const { NetworkError } = require('../types');
+
+const RETRYABLE_STATUS = new Set([408, 425, 429]);
+
+/**
+ * Retry policy with exponential backoff, jitter and an overall time budget.
+ * Network failures, 408, 425, 429 and 5xx responses are retried; every other error is permanent.
+ * Subclass it and override `isRetryable()` or `delay()` to plug in a custom policy.
+ */
+class RetryPolicy {
+  /**
+   * Create a RetryPolicy.
+   * @param {Object} [options={}] - The retry options.
+   * @param {number} [options.attempts=3] - The maximum number of attempts, including the first one.
+   * @param {number} [options.minDelay=1000] - The delay before the first retry in milliseconds.
+   * @param {number} [options.maxDelay=30000] - The maximum backoff delay in milliseconds.
+   * @param {number} [options.factor=2] - The backoff multiplier between retries.
+   * @param {number} [options.jitter=0.2] - The random spread applied to each delay, as a fraction of it.
+   * @param {number} [options.maxElapsed=60000] - Give up when the next retry would start after this many milliseconds.
+   * @param {Function} [options.shouldRetry] - Overrides the retryable classification, called with the error.
+   */
+  constructor({
+    attempts = 3,
+    minDelay = 1000,
+    maxDelay = 30000,
+    factor = 2,
+    jitter = 0.2,
+    maxElapsed = 60000,
+    shouldRetry
+  } = {}) {
+    this.attempts = Math.max(1, attempts);
+    this.minDelay = minDelay;
+    this.maxDelay = maxDelay;
+    this.factor = factor;
+    this.jitter = jitter;
+    this.maxElapsed = maxElapsed;
+    this.shouldRetry = shouldRetry;
+  }
+
+  /**
+   * Build a policy from a RetryPolicy instance, an options object or `false` (no retries).
+   * @param {RetryPolicy|Object|boolean} [retry] - The policy or its options.
+   * @param {Object} [defaults={}] - Options used for the fields `retry` does not set.
+   * @returns {RetryPolicy}
+   */
+  static from(retry, defaults = {}) {
+    if (retry instanceof RetryPolicy) return retry;
+    if (retry === false) return new RetryPolicy({ attempts: 1 });
+    return new RetryPolicy({ ...defaults, ...retry });
+  }
+
+  /**
+   * Parse a Retry-After header value.
+   * @param {string|null} value - The header value, in seconds or as an HTTP date.
+   * @returns {number|undefined} The delay in milliseconds.
+   */
+  static parseRetryAfter(value) {
+    if (!value) return undefined;
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? undefined : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Check whether an error is worth retrying.
+   * @param {Error} error - The error thrown by the operation.
+   * @returns {boolean}
+   */
+  isRetryable(error) {
+    if (this.shouldRetry) return Boolean(this.shouldRetry(error));
+    if (error instanceof NetworkError) return true;
+    const status = error?.statusCode;
+    return RETRYABLE_STATUS.has(status) || (status >= 500 && status < 600);
+  }
+
+  /**
+   * Compute the delay before the given retry.
+   * A Retry-After delay sent by the server replaces the backoff but is still capped at `maxDelay`.
+   * @param {number} attempt - The attempt that just failed, starting at 1.
+   * @param {Error} error - The error thrown by the operation.
+   * @returns {number} The delay in milliseconds.
+   */
+  delay(attempt, error) {
+    if (typeof error?.retryAfter === 'number') return Math.min(error.retryAfter, this.maxDelay);
+    const base = Math.min(this.minDelay * Math.pow(this.factor, attempt - 1), this.maxDelay);
+    return Math.max(0, base * (1 + this.jitter * (Math.random() * 2 - 1)));
+  }
+
+  /**
+   * Run an operation, retrying it according to the policy.
+   * @async
+   * @param {Function} operation - The operation to run, called with the attempt number.
+   * @returns {Promise<*>} The result of the operation.
+   * @throws {Error} The last error once the operation is not retried anymore.
+   */
+  async execute(operation) {
+    const started = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await operation(attempt);
+      } catch (error) {
+        if (attempt >= this.attempts || !this.isRetryable(error)) {
+          throw error;
+        }
+        const delay = this.delay(attempt, error);
+        if (Date.now() - started + delay > this.maxElapsed) {
+          throw error;
+        }
+        await new Promise(resolve => setTimeout(resolve, delay));
+      }
+    }
+  }
+}
+
+module.exports = RetryPolicy;
@@ -1,17 +1,26 @@
 const QrynError = require("./qrynError");
 const QrynResponse = require("./qrynResponse");
+const {
+  QueryResult,
+  VectorResult,
+  MatrixResult,
+  ScalarResult,
+  StringResult,
+  StreamsResult,
+  TraceSearchResult,
+  TraceResult
+} = require("./queryResult");
 
 class NetworkError extends QrynError {
   constructor(message, options = {}) {
-    super(message, options);
+    super(message, options.statusCode, options.cause, options.path);
     this.name = 'NetworkError';
-    this.statusCode = options.statusCode;
   }
 }
 
 class ValidationError extends QrynError {
   constructor(message, options = {}) {
-    super(message, options);
+    super(message, options.statusCode, options.cause, options.path);
     this.name = 'ValidationError';
     this.field = options.field;
   }
@@ -21,5 +30,13 @@ module.exports = {
   NetworkError,
   ValidationError,
   QrynError,
-  QrynResponse
+  QrynResponse,
+  QueryResult,
+  VectorResult,
+  MatrixResult,
+  ScalarResult,
+  StringResult,
+  StreamsResult,
+  TraceSearchResult,
+  TraceResult
 }
\ No newline at end of file
@@ -0,0 +1,365 @@
+const QrynResponse = require('./qrynResponse');
+
+// Prometheus and Loki send timestamps as float seconds and sample values as strings.
+const toMillis = seconds => Math.round(Number(seconds) * 1000);
+const toSample = ([timestamp, value]) => ({ timestamp: toMillis(timestamp), value: Number(value) });
+const toHistogram = ([timestamp, histogram]) => ({
+  timestamp: toMillis(timestamp),
+  count: Number(histogram.count),
+  sum: Number(histogram.sum),
+  buckets: (histogram.buckets || []).map(([boundaries, lower, upper, count]) => ({
+    boundaries,
+    lower: Number(lower),
+    upper: Number(upper),
+    count: Number(count)
+  }))
+});
+// Loki sends nanosecond timestamps as strings.
+const nanosToMillis = nanos => Number(BigInt(nanos) / 1000000n);
+// Tempo sends trace and span IDs base64 encoded; OTLP JSON uses hex.
+const toHexId = id => {
+  if (!id) return undefined;
+  if (/^([0-9a-f]{16}|[0-9a-f]{32})$/i.test(id)) return id.toLowerCase();
+  return Buffer.from(id, 'base64').toString('hex');
+};
+const toValue = (value = {}) => {
+  if ('stringValue' in value) return value.stringValue;
+  if ('boolValue' in value) return value.boolValue;
+  if ('intValue' in value) return Number(value.intValue);
+  if ('doubleValue' in value) return Number(value.doubleValue);
+  if ('arrayValue' in value) return (value.arrayValue.values || []).map(toValue);
+  if ('kvlistValue' in value) return toAttributes(value.kvlistValue.values);
+  if ('bytesValue' in value) return value.bytesValue;
+  return undefined;
+};
+const toAttributes = (attributes = []) => Object.fromEntries(attributes.map(({ key, value }) => [key, toValue(value)]));
+
+/**
+ * A parsed query response. Extends {@link QrynResponse}, so the raw body stays available as `response`.
+ * Use {@link QueryResult.from} to get the subclass matching the result type.
+ * @extends QrynResponse
+ */
+class QueryResult extends QrynResponse {
+  /**
+   * @param {QrynResponse} response - The raw response.
+   */
+  constructor(response) {
+    super(response.response, response.status, response.headers, response.path);
+  }
+
+  /**
+   * Create the typed result for a response: a {@link VectorResult}, {@link MatrixResult}, {@link ScalarResult},
+   * {@link StringResult}, {@link StreamsResult}, {@link TraceSearchResult} or {@link TraceResult}.
+   * @param {QrynResponse} response - The raw response.
+   * @returns {QueryResult} The typed result.
+   */
+  static from(response) {
+    const body = response.response || {};
+    if (Array.isArray(body.traces)) return new TraceSearchResult(response);
+    if (Array.isArray(body.batches) || Array.isArray(body.resourceSpans) || body.trace) return new TraceResult(response);
+    switch (body.data?.resultType) {
+      case 'vector': return new VectorResult(response);
+      case 'matrix': return new MatrixResult(response);
+      case 'scalar': return new ScalarResult(response);
+      case 'string': return new StringResult(response);
+      case 'streams': return new StreamsResult(response);
+      default: return new QueryResult(response);
+    }
+  }
+
+  /**
+   * The result type, such as `vector`, `matrix`, `scalar`, `string`, `streams`, `traces` or `trace`.
+   * @returns {string|undefined}
+   */
+  get resultType() {
+    return this.response?.data?.resultType;
+  }
+
+  /**
+   * Warnings and informational notices returned with the result.
+   * @returns {string[]}
+   */
+  get warnings() {
+    return [...(this.response?.warnings || []), ...(this.response?.infos || [])];
+  }
+
+  /**
+   * Query statistics, when the server returned them.
+   * @returns {Object|null}
+   */
+  get stats() {
+    return this.response?.data?.stats || null;
+  }
+
+  get result() {
+    return this.response?.data?.result;
+  }
+
+  /**
+   * The result as a list of series.
+   * @returns {Object[]}
+   */
+  series() {
+    return [];
+  }
+
+  /**
+   * The result flattened into one row per sample, entry or trace, with a `time` Date next to each timestamp.
+   * @returns {Object[]}
+   */
+  toRows() {
+    return [];
+  }
+}
+
+/**
+ * An instant vector: one sample per series.
+ * @extends QueryResult
+ */
+class VectorResult extends QueryResult {
+  /**
+   * @returns {Array<{labels: Object, samples: Array<{timestamp: number, value: number}>, histograms: Object[]}>}
+   *   The series with their sample; `timestamp` is in milliseconds.
+   */
+  series() {
+    return (this.result || []).map(({ metric, value, histogram }) => ({
+      labels: metric,
+      samples: value ? [toSample(value)] : [],
+      histograms: histogram ? [toHistogram(histogram)] : []
+    }));
+  }
+
+  /**
+   * @returns {Array<{labels: Object, timestamp: number, time: Date, value: number}>} One row per sample.
+   */
+  toRows() {
+    return this.series().flatMap(({ labels, samples }) => samples.map(({ timestamp, value }) => ({
+      labels,
+      timestamp,
+      time: new Date(timestamp),
+      value
+    })));
+  }
+}
+
+/**
+ * A range vector: a list of samples per series.
+ * @extends VectorResult
+ */
+class MatrixResult extends VectorResult {
+  /**
+   * Merge the results of consecutive range queries, such as the chunks of a long range, into one result.
+   * Series with the same labels are joined; samples are kept in the order of the results.
+   * @param {MatrixResult[]} results - The results, in time order.
+   * @returns {MatrixResult} The merged result, with the status, headers and path of the last result.
+   */
+  static merge(results) {
+    const series = new Map();
+    for (const result of results) {
+      for (const { metric, values, histograms } of result.result || []) {
+        const key = JSON.stringify(Object.entries(metric).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0)));
+        if (!series.has(key)) series.set(key, { metric, values: [], histograms: [] });
+        const merged = series.get(key);
+        if (values) merged.values.push(...values);
+        if (histograms) merged.histograms.push(...histograms);
+      }
+    }
+    const last = results[results.length - 1] || {};
+    const body = {
+      status: 'success',
+      data: {
+        resultType: 'matrix',
+        result: [...series.values()].map(({ metric, values, histograms }) => (
+          histograms.length ? { metric, values, histograms } : { metric, values }
+        ))
+      }
+    };
+    const warnings = results.flatMap(result => result.response?.warnings || []);
+    const infos = results.flatMap(result => result.response?.infos || []);
+    if (warnings.length) body.warnings = warnings;
+    if (infos.length) body.infos = infos;
+    return new MatrixResult(new QrynResponse(body, last.status, last.headers, last.path));
+  }
+
+  series() {
+    return (this.result || []).map(({ metric, values, histograms }) => ({
+      labels: metric,
+      samples: (values || []).map(toSample),
+      histograms: (histograms || []).map(toHistogram)
+    }));
+  }
+}
+
+/**
+ * A single numeric value.
+ * @extends QueryResult
+ */
+class ScalarResult extends QueryResult {
+  /**
+   * @returns {{timestamp: number, value: number}} The value with its timestamp in milliseconds.
+   */
+  get value() {
+    return toSample(this.result);
+  }
+
+  series() {
+    return [{ labels: {}, samples: [this.value], histograms: [] }];
+  }
+
+  toRows() {
+    const { timestamp, value } = this.value;
+    return [{ labels: {}, timestamp, time: new Date(timestamp), value }];
+  }
+}
+
+/**
+ * A single string value.
+ * @extends ScalarResult
+ */
+class StringResult extends ScalarResult {
+  /**
+   * @returns {{timestamp: number, value: string}} The value with its timestamp in milliseconds.
+   */
+  get value() {
+    const [timestamp, value] = this.result;
+    return { timestamp: toMillis(timestamp), value };
+  }
+}
+
+/**
+ * Loki log streams.
+ * @extends QueryResult
+ */
+class StreamsResult extends QueryResult {
+  /**
+   * @returns {Array<{labels: Object, entries: Array<{timestamp: number, nanoseconds: string, line: string, metadata: Object}>}>}
+   *   The streams with their entries; `timestamp` is in milliseconds, `nanoseconds` keeps full precision.
+   */
+  series() {
+    return (this.result || []).map(({ stream, values }) => ({
+      labels: stream,
+      entries: (values || []).map(([nanoseconds, line, metadata]) => ({
+        timestamp: nanosToMillis(nanoseconds),
+        nanoseconds,
+        line,
+        metadata: metadata || {}
+      }))
+    }));
+  }
+
+  /**
+   * @returns {Array<{labels: Object, timestamp: number, time: Date, nanoseconds: string, line: string, metadata: Object}>}
+   *   One row per entry.
+   */
+  toRows() {
+    return this.series().flatMap(({ labels, entries }) => entries.map(entry => ({
+      labels,
+      ...entry,
+      time: new Date(entry.timestamp)
+    })));
+  }
+}
+
+/**
+ * Tempo trace search results.
+ * @extends QueryResult
+ */
+class TraceSearchResult extends QueryResult {
+  get resultType() {
+    return 'traces';
+  }
+
+  get stats() {
+    return this.response?.metrics || null;
+  }
+
+  /**
+   * @returns {Array<{traceId: string, rootServiceName: string, rootTraceName: string, startTime: number,
+   *   duration: number, spanSets: Object[]}>} The matching traces; `startTime` and `duration` are in milliseconds.
+   */
+  series() {
+    return this.response.traces.map(trace => ({
+      traceId: trace.traceID,
+      rootServiceName: trace.rootServiceName,
+      rootTraceName: trace.rootTraceName,
+      startTime: trace.startTimeUnixNano ? nanosToMillis(trace.startTimeUnixNano) : undefined,
+      duration: trace.durationMs,
+      spanSets: trace.spanSets || (trace.spanSet ? [trace.spanSet] : [])
+    }));
+  }
+
+  /**
+   * @returns {Object[]} One row per trace, with a `time` Date for its start.
+   */
+  toRows() {
+    return this.series().map(trace => ({ ...trace, time: trace.startTime === undefined ? undefined : new Date(trace.startTime) }));
+  }
+}
+
+/**
+ * A single Tempo trace, in the OTLP shape of the `/api/traces/<traceId>` endpoint.
+ * @extends QueryResult
+ */
+class TraceResult extends QueryResult {
+  get resultType() {
+    return 'trace';
+  }
+
+  /**
+   * The resource spans of the trace.
+   * @returns {Object[]}
+   */
+  get result() {
+    const body = this.response?.trace || this.response || {};
+    return body.batches || body.resourceSpans || [];
+  }
+
+  /**
+   * @returns {Array<{traceId: string, spanId: string, parentSpanId: string, name: string, kind: string,
+   *   serviceName: string, startTime: number, duration: number, startTimeUnixNano: string, attributes: Object,
+   *   resource: Object, status: Object, events: Object[]}>} The spans of the trace, with hex IDs, flattened
+   *   attributes, and `startTime` and `duration` in milliseconds.
+   */
+  series() {
+    return this.result.flatMap(({ resource, scopeSpans, instrumentationLibrarySpans }) => {
+      const resourceAttributes = toAttributes(resource?.attributes);
+      return (scopeSpans || instrumentationLibrarySpans || []).flatMap(({ spans }) => (spans || []).map(span => ({
+        traceId: toHexId(span.traceId),
+        spanId: toHexId(span.spanId),
+        parentSpanId: toHexId(span.parentSpanId),
+        name: span.name,
+        kind: span.kind,
+        serviceName: resourceAttributes['service.name'],
+        startTime: nanosToMillis(span.startTimeUnixNano),
+        duration: Number(BigInt(span.endTimeUnixNano) - BigInt(span.startTimeUnixNano)) / 1e6,
+        startTimeUnixNano: String(span.startTimeUnixNano),
+        attributes: toAttributes(span.attributes),
+        resource: resourceAttributes,
+        status: span.status || {},
+        events: (span.events || []).map(event => ({
+          name: event.name,
+          timestamp: nanosToMillis(event.timeUnixNano),
+          attributes: toAttributes(event.attributes)
+        }))
+      })));
+    });
+  }
+
+  /**
+   * @returns {Object[]} One row per span, with a `time` Date for its start.
+   */
+  toRows() {
+    return this.series().map(span => ({ ...span, time: new Date(span.startTime) }));
+  }
+}
+
+module.exports = {
+  QueryResult,
+  VectorResult,
+  MatrixResult,
+  ScalarResult,
+  StringResult,
+  StreamsResult,
+  TraceSearchResult,
+  TraceResult
+};
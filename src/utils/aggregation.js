@@ -0,0 +1,51 @@
+/**
+ * Downsampling functions applied to the pending samples of a metric before they are pushed.
+ * Each takes the samples of the flush window (and the last pushed sample, for `rate`)
+ * and returns the samples to send, stamped with the latest timestamp of the window.
+ */
+
+const latest = samples => samples.reduce((max, sample) => Math.max(max, sample.timestamp), -Infinity);
+
+const AGGREGATIONS = {
+  last: samples => [samples.reduce((last, sample) => sample.timestamp >= last.timestamp ? sample : last)],
+  sum: samples => [{ value: samples.reduce((sum, sample) => sum + sample.value, 0), timestamp: latest(samples) }],
+  min: samples => [{ value: samples.reduce((min, sample) => Math.min(min, sample.value), Infinity), timestamp: latest(samples) }],
+  max: samples => [{ value: samples.reduce((max, sample) => Math.max(max, sample.value), -Infinity), timestamp: latest(samples) }],
+  avg: samples => [{ value: samples.reduce((sum, sample) => sum + sample.value, 0) / samples.length, timestamp: latest(samples) }],
+  // Per-second increase since the last pushed sample, or since the first sample of the window.
+  rate: (samples, previous) => {
+    const points = (previous ? [previous] : []).concat(samples).sort((a, b) => a.timestamp - b.timestamp);
+    const first = points[0];
+    const last = points[points.length - 1];
+    if (points.length < 2 || last.timestamp === first.timestamp) return [];
+    return [{ value: (last.value - first.value) / ((last.timestamp - first.timestamp) / 1000), timestamp: last.timestamp }];
+  }
+};
+
+/**
+ * Check that an aggregation is a known name or a custom function.
+ * @param {string|Function} aggregation - The aggregation.
+ * @returns {boolean}
+ */
+function isAggregation(aggregation) {
+  return typeof aggregation === 'function' || Object.prototype.hasOwnProperty.call(AGGREGATIONS, aggregation);
+}
+
+/**
+ * Aggregate the samples of a flush window.
+ * @param {string|Function} aggregation - `last`, `sum`, `min`, `max`, `avg`, `rate`, or a custom
+ *   function called with `(samples, previous)` that returns the samples to push.
+ * @param {Array<{value: number, timestamp: number}>} samples - The samples of the window.
+ * @param {{value: number, timestamp: number}} [previous] - The last sample pushed for the metric.
+ * @returns {Array<{value: number, timestamp: number}>} The aggregated samples.
+ */
+function aggregate(aggregation, samples, previous) {
+  if (!samples.length) return samples;
+  const fn = typeof aggregation === 'function' ? aggregation : AGGREGATIONS[aggregation];
+  return fn(samples, previous);
+}
+
+module.exports = {
+  aggregate,
+  isAggregation
+};
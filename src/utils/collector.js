@@ -1,7 +1,9 @@
 const { QrynError, ValidationError } = require('../types');
-const { Stream, Metric } = require('../models');
+const { Stream, Metric, Trace, Counter, Gauge, Histogram, Summary } = require('../models');
 const EventEmitter = require('events');
 const { LRUCache } = require('lru-cache')
+const WriteAheadLog = require('./wal');
+const RetryPolicy = require('../services/retry');
 
 /**
  * Collector class for collecting and pushing streams and metrics to Qryn.
@@ -14,31 +16,84 @@ class Collector extends EventEmitter {
    * @param {Object} [options={}] - The collector options.
    * @param {number} [options.maxEntries=1000] - The maximum entries for pushing data.
    * @param {number} [options.maxTimeout=5000] - The maximum timeout for pushing data.
-   * @param {string} options.orgId - orgId to write the data.
+   * @param {string} [options.orgId] - orgId to write the data. Defaults to the client's tenant.
+   * @param {string} [options.tenantLabel] - Route each stream and metric to the tenant named by this label,
+   *   pushing one request per tenant. Streams and metrics without the label use `orgId`.
    * @param {number} [options.retryAttempts=3] - The number of retry attempts for failed pushes.
    * @param {number} [options.retryDelay=1000] - The delay between retry attempts in milliseconds.
+   * @param {RetryPolicy|Object} [options.retry] - The retry policy for pushes, or its options. Defaults to
+   *   `retryAttempts` attempts with exponential backoff starting at `retryDelay`.
    * @param {boolean} [options.async] - Write the data in fast but unreliable way.
    * @param {number} [options.fpLimit] - Limit number of time-series you want to have inside the database.
    * @param {number} [options.ttlDays] - Number of days the information in the request should be stored.
+   * @param {string} [options.traceFormat='otlp'] - The wire format for traces, `otlp` or `zipkin`.
    * @param {LRUCache.Options} [options.cache] - Cache options for streams and metrics.
+   * @param {number} [options.maxPendingItems=Infinity] - The maximum number of unsent entries or samples per stream or metric.
+   * @param {number} [options.maxPendingBytes=Infinity] - The maximum size of unsent entries or samples per stream or metric.
+   * @param {string} [options.overflow='drop-oldest'] - The policy when a pending limit is reached: `drop-oldest`,
+   *   `drop-newest`, or `block` to make `addEntry()`/`addSample()` return a promise that waits for room.
+   * @param {string|Function|Object} [options.aggregation] - Downsample the pending samples of each metric to a single
+   *   sample per push: `last`, `sum`, `min`, `max`, `avg`, `rate` or a custom function, for all metrics, or an object
+   *   mapping metric names to one of those. The `*` key applies to metrics not listed.
+   * @param {string} [options.labelValidation='sanitize'] - `sanitize` invalid or reserved label and metric names,
+   *   or `throw` a ValidationError on them. Defaults to the client's `labelValidation`.
+   * @param {number} [options.cardinalityLimit=1000] - Emit a `cardinality` event once a label takes more distinct
+   *   values across streams, or a metric has more series, than this.
+   * @param {number} [options.snapshotInterval] - How often counters, gauges, histograms and summaries are sampled,
+   *   in milliseconds. Defaults to `maxTimeout`.
+   * @param {boolean} [options.handleShutdown=false] - Close the collector on SIGTERM and before the process exits.
+   * @param {Object} [options.wal] - Persist pending log entries and samples to disk and replay them on startup.
+   * @param {string} options.wal.dir - The directory to store the write-ahead log in.
+   * @param {number} [options.wal.maxBytes=67108864] - The maximum size of the write-ahead log in bytes. Dropping
+   *   the oldest segments beyond it emits a `walDrop` event.
+   * @param {number} [options.wal.flushInterval=100] - The maximum time in milliseconds records are buffered before they are written.
    */
   #totalEntries = 0; 
   #totalSamples = 0;
+  #totalSpans = 0;
+  #replaying = false;
+  #closed = false;
+  #closing = null;
+  #inFlight = new Set();
+  #shutdownHandlers = null;
+  #snapshotTimer = null;
+  // Distinct label values per stream label and series per metric, until the limit is exceeded once.
+  #cardinality = new Map();
+  // Streams, metrics and traces evicted from the cache with unsent data, kept until a push confirms it.
+  #evicted = new Map();
   constructor(qrynClient, options = {}) {
     super();
     this.qrynClient = qrynClient;
     this.maxBulkSize = options.maxBulkSize || 1000;
     this.maxTimeout = options.maxTimeout || 5000;
     this.orgId = options.orgId;
+    this.tenantLabel = options.tenantLabel;
     this.async = options.async;
     this.fpLimit = options.fpLimit;
     this.ttlDays = options.ttlDays;
+    this.traceFormat = options.traceFormat || 'otlp';
     this.cacheOptions = options.cache;
     this.retryAttempts = options.retryAttempts || 3;
     this.retryDelay = options.retryDelay || 1000;
+    this.retryPolicy = RetryPolicy.from(options.retry, { attempts: this.retryAttempts, minDelay: this.retryDelay });
+    this.limits = {
+      maxPendingItems: options.maxPendingItems,
+      maxPendingBytes: options.maxPendingBytes,
+      overflow: options.overflow,
+      onDropped: (source, count) => this.emit('dropped', { source, count, policy: options.overflow || 'drop-oldest' })
+    };
+    this.aggregation = options.aggregation;
+    this.labelValidation = options.labelValidation || qrynClient.labelValidation;
+    this.cardinalityLimit = options.cardinalityLimit ?? 1000;
     this.streams = this.initializeCache(this.cacheOptions);
     this.metrics = this.initializeCache(this.cacheOptions);
+    this.traces = this.initializeCache(this.cacheOptions);
+    this.instruments = new Map();
+    this.snapshotInterval = options.snapshotInterval || this.maxTimeout;
     this.timeoutId = null;
+    this.wal = options.wal ? new WriteAheadLog(options.wal) : null;
+    if (this.wal) this.#replayWal();
+    if (options.handleShutdown) this.#hookShutdown();
   }
   initializeCache(options = {}){
     const defaultCacheOptions = {
@@ -48,11 +103,19 @@ class Collector extends EventEmitter {
       allowStale: false, // Don't serve stale items
     };
     let cacheOptions = Object.assign({},defaultCacheOptions,options)
+    const dispose = cacheOptions.dispose;
+    cacheOptions.dispose = (value, key, reason) => {
+      if ((reason === 'evict' || reason === 'expire') && value.pendingItems > 0) this.#evicted.set(key, value);
+      if (dispose) dispose(value, key, reason);
+    };
 
     return new LRUCache(cacheOptions)
   }
+  get closed() {
+    return this.#closed;
+  }
   get total(){
-    return this.#totalEntries + this.#totalSamples;
+    return this.#totalEntries + this.#totalSamples + this.#totalSpans;
   }
   /**
    * Get the current options for the collector.
@@ -73,11 +136,13 @@ class Collector extends EventEmitter {
    * @returns {Stream} The created stream instance.
    */
   createStream(labels = {}) {
-    let stream = new Stream(labels, { maxEntries: this.maxEntries, maxTimeout: this.maxTimeout });
-    let existingStream = this.streams.get(stream.key);
+    this.#assertOpen();
+    let stream = new Stream(labels, { ...this.limits, labelValidation: this.labelValidation });
+    let existingStream = this.streams.get(stream.key) || this.#revive(this.streams, stream.key);
     if (!existingStream) {
       stream.addListener(this.incrementTotal.bind(this));
       this.streams.set(stream.key, stream);
+      for (const [name, value] of Object.entries(stream.labels)) this.#trackCardinality('stream', name, value);
     } else {
       stream = existingStream;
     }
@@ -89,26 +154,262 @@ class Collector extends EventEmitter {
    * @param {Object} params - The parameters for creating a metric.
    * @param {string} params.name - The name of the metric.
    * @param {Object} [params.labels={}] - The labels for the metric.
+   * @param {string|Function} [params.aggregation] - How to downsample the samples of each push. Overrides the
+   *   collector's `aggregation` option.
+   * @param {string} [params.type] - The metric type sent as remote write metadata, e.g. `counter` or `gauge`.
+   * @param {string} [params.help] - The help text sent as remote write metadata.
+   * @param {string} [params.unit] - The unit sent as remote write metadata.
    * @returns {Metric} The created metric instance.
    */
-  createMetric({ name, labels = {} }) {
-    let metric = new Metric(name, labels, { maxSamples: this.maxEntries, maxTimeout: this.maxTimeout });
-    let existingMetric = this.metrics.get(metric.key);
+  createMetric({ name, labels = {}, aggregation, type, help, unit }) {
+    this.#assertOpen();
+    let metric = new Metric(name, labels, {
+      ...this.limits,
+      labelValidation: this.labelValidation,
+      aggregation: aggregation || this.#aggregationFor(name),
+      type,
+      help,
+      unit
+    });
+    let existingMetric = this.metrics.get(metric.key) || this.#revive(this.metrics, metric.key);
     if (!existingMetric) {
       metric.addListener(this.incrementTotal.bind(this));
       this.metrics.set(metric.key, metric);
+      this.#trackCardinality('metric', metric.name, metric.key);
     } else {
       metric = existingMetric;
+      // A metric restored from the write-ahead log has no metadata until it is created again.
+      if (type) metric.type = type;
+      if (help) metric.help = help;
+      if (unit) metric.unit = unit;
     }
     return metric;
   }
-  incrementTotal(e){
+
+  /**
+   * Put an evicted stream, metric or trace with unsent data back into its cache.
+   * @param {LRUCache} cache - The stream, metric or trace cache.
+   * @param {string} key - The stream or metric key, or the trace ID.
+   * @returns {Stream|Metric|Trace|undefined} The evicted item, if any.
+   */
+  #revive(cache, key) {
+    const item = this.#evicted.get(key);
+    if (item) {
+      this.#evicted.delete(key);
+      cache.set(key, item);
+    }
+    return item;
+  }
+
+  #aggregationFor(name) {
+    const aggregation = this.aggregation;
+    if (!aggregation || typeof aggregation === 'string' || typeof aggregation === 'function') return aggregation;
+    return aggregation[name] || aggregation['*'];
+  }
+
+  /**
+   * Create a new trace and add it to the collector.
+   * @param {Object} [options={}] - The trace options.
+   * @param {string} [options.traceId] - The trace ID, generated when omitted.
+   * @param {string} [options.serviceName] - The default service name for spans of the trace.
+   * @returns {Trace} The created trace instance.
+   */
+  createTrace(options = {}) {
+    this.#assertOpen();
+    let trace = new Trace(options);
+    let existingTrace = this.traces.get(trace.key) || this.#revive(this.traces, trace.key);
+    if (!existingTrace) {
+      trace.addListener(this.incrementTotal.bind(this));
+      this.traces.set(trace.key, trace);
+    } else {
+      trace = existingTrace;
+    }
+    return trace;
+  }
+
+  /**
+   * Create a new span and add it to the collector. The span is pushed once it ends.
+   * @param {Object} params - The parameters for creating a span.
+   * @param {string} params.name - The name of the span.
+   * @param {string} [params.traceId] - The trace ID, a new trace is started when omitted.
+   * @param {string} [params.parentSpanId] - The ID of the parent span.
+   * @param {string} [params.serviceName] - The name of the service emitting the span.
+   * @param {string} [params.kind='internal'] - The span kind.
+   * @param {Object} [params.attributes={}] - The span attributes.
+   * @param {number} [params.startTime=Date.now()] - The start timestamp in milliseconds.
+   * @returns {Span} The created span instance.
+   */
+  createSpan({ name, traceId, serviceName, ...options }) {
+    return this.createTrace({ traceId, serviceName }).createSpan(name, { serviceName, ...options });
+  }
+
+  /**
+   * Create a counter and add it to the collector. Its value is sampled every `snapshotInterval`.
+   * @param {Object} params - The parameters for creating a counter.
+   * @param {string} params.name - The name of the counter.
+   * @param {Object} [params.labels={}] - The labels for the counter.
+   * @param {string} [params.help] - The help text sent as remote write metadata.
+   * @param {string} [params.unit] - The unit sent as remote write metadata.
+   * @returns {Counter} The counter instance.
+   */
+  createCounter({ name, labels = {}, help, unit }) {
+    return this.#registerInstrument(Counter, name, labels, { help, unit });
+  }
+
+  /**
+   * Create a gauge and add it to the collector. Its value is sampled every `snapshotInterval`.
+   * @param {Object} params - The parameters for creating a gauge.
+   * @param {string} params.name - The name of the gauge.
+   * @param {Object} [params.labels={}] - The labels for the gauge.
+   * @param {string} [params.help] - The help text sent as remote write metadata.
+   * @param {string} [params.unit] - The unit sent as remote write metadata.
+   * @returns {Gauge} The gauge instance.
+   */
+  createGauge({ name, labels = {}, help, unit }) {
+    return this.#registerInstrument(Gauge, name, labels, { help, unit });
+  }
+
+  /**
+   * Create a histogram and add it to the collector. Its buckets, sum and count are sampled every `snapshotInterval`.
+   * @param {Object} params - The parameters for creating a histogram.
+   * @param {string} params.name - The base name of the histogram series.
+   * @param {Object} [params.labels={}] - The labels for the histogram.
+   * @param {number[]} [params.buckets] - The bucket upper bounds.
+   * @param {boolean} [params.native] - Push a native histogram with exponential buckets instead of bucket series.
+   * @param {number} [params.schema] - The native bucket resolution, from -4 to 8.
+   * @param {number} [params.zeroThreshold] - The width of the native zero bucket.
+   * @param {string} [params.help] - The help text sent as remote write metadata.
+   * @param {string} [params.unit] - The unit sent as remote write metadata.
+   * @returns {Histogram} The histogram instance.
+   */
+  createHistogram({ name, labels = {}, buckets, native, schema, zeroThreshold, help, unit }) {
+    return this.#registerInstrument(Histogram, name, labels, { buckets, native, schema, zeroThreshold, help, unit });
+  }
+
+  /**
+   * Create a summary and add it to the collector. Its quantiles, sum and count are sampled every `snapshotInterval`.
+   * @param {Object} params - The parameters for creating a summary.
+   * @param {string} params.name - The base name of the summary series.
+   * @param {Object} [params.labels={}] - The labels for the summary.
+   * @param {number[]} [params.quantiles] - The quantiles to report.
+   * @param {number} [params.maxAge] - The window observations are kept for, in milliseconds.
+   * @param {string} [params.help] - The help text sent as remote write metadata.
+   * @param {string} [params.unit] - The unit sent as remote write metadata.
+   * @returns {Summary} The summary instance.
+   */
+  createSummary({ name, labels = {}, quantiles, maxAge, help, unit }) {
+    return this.#registerInstrument(Summary, name, labels, { quantiles, maxAge, help, unit });
+  }
+
+  #registerInstrument(Type, name, labels, options = {}) {
+    this.#assertOpen();
+    const key = `${Type.name}:${name}:${JSON.stringify(labels)}`;
+    let instrument = this.instruments.get(key);
+    if (!instrument) {
+      // Drop unset options so the instrument defaults apply.
+      const defined = Object.fromEntries(Object.entries(options).filter(([, value]) => value !== undefined));
+      instrument = new Type(name, labels, { ...this.limits, labelValidation: this.labelValidation, ...defined });
+      instrument.series.forEach(metric => metric.addListener(this.incrementTotal.bind(this)));
+      this.instruments.set(key, instrument);
+      this.#trackCardinality('metric', name, key);
+      this.#startSnapshots();
+    }
+    return instrument;
+  }
+
+  #trackCardinality(source, name, value) {
+    const id = `${source}:${name}`;
+    let values = this.#cardinality.get(id);
+    if (values === null) return;
+    if (!values) {
+      values = new Set();
+      this.#cardinality.set(id, values);
+    }
+    values.add(value);
+    if (values.size > this.cardinalityLimit) {
+      // Warn once and stop tracking, so a runaway label does not grow the set further.
+      this.#cardinality.set(id, null);
+      this.emit('cardinality', { source, name, count: values.size, limit: this.cardinalityLimit });
+    }
+  }
+
+  #startSnapshots() {
+    if (this.#snapshotTimer) return;
+    this.#snapshotTimer = setInterval(() => this.#snapshot(), this.snapshotInterval);
+    this.#snapshotTimer.unref();
+  }
+
+  /**
+   * Sample every instrument into its series.
+   */
+  #snapshot() {
+    const timestamp = Date.now();
+    for (const instrument of this.instruments.values()) {
+      instrument.snapshot(timestamp);
+    }
+  }
+
+  incrementTotal(e, item, kind){
+    this.#persist(e, item, kind);
     if(e instanceof Metric)
       this.#totalSamples++;
     else if(e instanceof Stream)
       this.#totalEntries ++;
+    else if(e instanceof Trace)
+      this.#totalSpans++;
 
-    this.checkBulkSize();
+    // Replayed data is pushed once the whole log is loaded: a push truncates every segment it claims.
+    if (!this.#replaying) this.checkBulkSize();
+  }
+
+  /**
+   * Append a newly added entry or sample to the write-ahead log.
+   * @param {Stream|Metric|Trace} e - The stream or metric the item was added to.
+   * @param {Object} item - The added entry, sample, exemplar or native histogram.
+   * @param {string} [kind] - The kind of metric item, `sample`, `exemplar` or `histogram`.
+   */
+  #persist(e, item, kind) {
+    if (!this.wal || this.#replaying || !item) return;
+    let record;
+    if (e instanceof Stream) {
+      record = { type: 'entry', labels: e.labels, ts: item.ts, line: item.line, metadata: item.metadata };
+    } else if (e instanceof Metric && kind === 'exemplar') {
+      record = { type: 'exemplar', name: e.name, labels: e.labels, exemplar: item };
+    } else if (e instanceof Metric && kind === 'histogram') {
+      record = { type: 'histogram', name: e.name, labels: e.labels, histogram: item };
+    } else if (e instanceof Metric) {
+      record = { type: 'sample', name: e.name, labels: e.labels, value: item.value, timestamp: item.timestamp };
+    } else {
+      return;
+    }
+    const dropped = this.wal.append(record);
+    if (dropped > 0) {
+      this.emit('walDrop', { bytes: dropped, maxBytes: this.wal.maxBytes });
+    }
+  }
+
+  /**
+   * Restore entries and samples left in the write-ahead log by a previous process.
+   */
+  #replayWal() {
+    this.#replaying = true;
+    try {
+      for (const record of this.wal.replay()) {
+        if (record.type === 'entry') {
+          this.createStream(record.labels).addEntry(record.ts, record.line, record.metadata);
+        } else if (record.type === 'sample') {
+          this.createMetric({ name: record.name, labels: record.labels }).addSample(record.value, record.timestamp);
+        } else if (record.type === 'exemplar') {
+          this.createMetric({ name: record.name, labels: record.labels }).addExemplar(record.exemplar);
+        } else if (record.type === 'histogram') {
+          const { timestamp, ...histogram } = record.histogram;
+          this.createMetric({ name: record.name, labels: record.labels }).addHistogram(histogram, timestamp);
+        }
+      }
+    } finally {
+      this.#replaying = false;
+    }
+    if (this.total > 0) this.checkBulkSize();
   }
 
   /**
@@ -140,49 +441,168 @@ class Collector extends EventEmitter {
    * @async
    */
   async pushBulk() {
+    const push = this.#pushBulk();
+    this.#inFlight.add(push);
+    try {
+      await push;
+    } finally {
+      this.#inFlight.delete(push);
+    }
+  }
+
+  async #pushBulk() {
     clearTimeout(this.timeoutId);
 
     const totalEntries = this.#totalEntries;
     const totalSamples = this.#totalSamples;
+    const totalSpans = this.#totalSpans;
     this.#totalEntries = 0;
     this.#totalSamples = 0;
-
+    this.#totalSpans = 0;
+    const checkpoint = this.wal ? this.wal.checkpoint() : [];
 
     await this.retryOperation(async () => {
       if (totalEntries > 0) {        
-        const streams = Array.from(this.streams.values());
-        await this.qrynClient.loki.push(streams, this.options).then( response => this.emit('info', response));
+        const streams = Array.from(this.streams.values()).concat(this.#evictedOf(Stream)).filter(stream => stream.entries.length);
+        for (const [orgId, group] of this.#byTenant(streams)) {
+          await this.qrynClient.loki.push(group, { ...this.options, orgId }).then( response => this.emit('info', response));
+        }
       }
       if (totalSamples > 0) {
-        const metrics = Array.from(this.metrics.values());
-        await this.qrynClient.prom.push(metrics, this.options).then( response => this.emit('info', response));;
+        const metrics = Array.from(this.metrics.values()).concat(this.#evictedOf(Metric));
+        for (const instrument of this.instruments.values()) metrics.push(...instrument.series);
+        for (const [orgId, group] of this.#byTenant(metrics.filter(metric => !metric.isEmpty))) {
+          await this.qrynClient.prom.push(group, { ...this.options, orgId }).then( response => this.emit('info', response));
+        }
       }
+      if (totalSpans > 0) {
+        const traces = Array.from(this.traces.values()).concat(this.#evictedOf(Trace));
+        await this.qrynClient.tempo.push(traces, { ...this.options, format: this.traceFormat }).then( response => this.emit('info', response));
+      }
+    }).then(() => {
+        for (const [key, item] of this.#evicted) {
+          if (item.pendingItems === 0) this.#evicted.delete(key);
+        }
+        if (this.wal) this.wal.truncate(checkpoint);
     }).catch(error => {
         this.#totalEntries += totalEntries;
         this.#totalSamples += totalSamples;
+        this.#totalSpans += totalSpans;
+        if (this.wal) this.wal.release(checkpoint);
         this.emit('error', error);
     });
   }
 
+  #evictedOf(Type) {
+    return Array.from(this.#evicted.values()).filter(item => item instanceof Type);
+  }
+
+  /**
+   * Group streams or metrics by the tenant of their `tenantLabel`. Groups already pushed by an earlier
+   * retry attempt have nothing pending and are filtered out by the caller.
+   * @param {Array<Stream|Metric>} items - The streams or metrics with pending data.
+   * @returns {Map<string|undefined, Array<Stream|Metric>>} The items by organization ID.
+   */
+  #byTenant(items) {
+    const groups = new Map();
+    for (const item of items) {
+      const orgId = (this.tenantLabel && item.labels[this.tenantLabel]) || this.orgId;
+      if (!groups.has(orgId)) groups.set(orgId, []);
+      groups.get(orgId).push(item);
+    }
+    return groups;
+  }
+
   /**
-   * Retry an operation with exponential backoff.
+   * Push all pending data and wait for pushes already in flight.
+   * @async
+   * @returns {Promise<void>} Resolves once all pending data is confirmed by the server.
+   * @throws {QrynError} If some data could not be pushed; it stays pending for the next push.
+   */
+  async flush() {
+    clearTimeout(this.timeoutId);
+    if (!this.#closed) this.#snapshot();
+    await Promise.all(this.#inFlight);
+    if (this.total > 0) {
+      await this.pushBulk();
+    }
+    if (this.total > 0) {
+      throw new QrynError(`Collector flush failed, ${this.total} items are still pending`);
+    }
+  }
+
+  /**
+   * Flush pending data, stop the push timer and reject further writes.
+   * @async
+   * @param {Object} [options={}] - The close options.
+   * @param {number} [options.timeoutMs=10000] - The maximum time to wait for the final flush.
+   * @returns {Promise<void>} Resolves once the final flush is confirmed.
+   * @throws {QrynError} If the final flush fails or times out.
+   */
+  close({ timeoutMs = 10000 } = {}) {
+    if (this.#closing) return this.#closing;
+    clearInterval(this.#snapshotTimer);
+    this.#snapshot();
+    this.#closed = true;
+    this.#unhookShutdown();
+    for (const cache of [this.streams, this.metrics, this.traces, this.#evicted]) {
+      for (const item of cache.values()) item.close();
+    }
+    for (const instrument of this.instruments.values()) {
+      instrument.series.forEach(metric => metric.close());
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new QrynError(`Collector close timed out after ${timeoutMs}ms`)), timeoutMs);
+    });
+    this.#closing = Promise.race([this.flush(), timeout]).finally(() => {
+      clearTimeout(timer);
+      clearTimeout(this.timeoutId);
+      if (this.wal) this.wal.close();
+      this.emit('close');
+    });
+    return this.#closing;
+  }
+
+  #assertOpen() {
+    if (this.#closed) {
+      throw new QrynError('Collector is closed');
+    }
+  }
+
+  #hookShutdown() {
+    const onSigterm = () => {
+      this.close().catch(error => this.emit('error', error)).finally(() => {
+        // Re-raise so the default SIGTERM behaviour (or other handlers) still apply.
+        if (process.listenerCount('SIGTERM') === 0) process.kill(process.pid, 'SIGTERM');
+      });
+    };
+    const onBeforeExit = () => {
+      this.close().catch(error => this.emit('error', error));
+    };
+    process.once('SIGTERM', onSigterm);
+    process.once('beforeExit', onBeforeExit);
+    this.#shutdownHandlers = { onSigterm, onBeforeExit };
+  }
+
+  #unhookShutdown() {
+    if (!this.#shutdownHandlers) return;
+    process.off('SIGTERM', this.#shutdownHandlers.onSigterm);
+    process.off('beforeExit', this.#shutdownHandlers.onBeforeExit);
+    this.#shutdownHandlers = null;
+  }
+
+  /**
+   * Retry an operation according to the collector retry policy.
+   * Permanent errors (e.g. 400 validation errors) are not retried.
    * @private
    * @async
    * @param {Function} operation - The operation to retry.
    * @throws {QrynError} If all retry attempts fail.
    */
   async retryOperation(operation) {
-    for (let attempt = 1; attempt <= this.retryAttempts; attempt++) {
-      try {
-        await operation();
-        return;
-      } catch (error) {
-        if (attempt === this.retryAttempts) {
-          throw error;
-        }
-        await new Promise(resolve => setTimeout(resolve, this.retryDelay * Math.pow(2, attempt - 1)));
-      }
-    }
+    await this.retryPolicy.execute(operation);
   }
 }
 
@@ -0,0 +1,80 @@
+const { ValidationError } = require('../types');
+
+// Label and metric name rules shared by Prometheus and Loki.
+const LABEL_NAME = /^[a-zA-Z_][a-zA-Z0-9_]*$/;
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+const VALIDATION_MODES = ['throw', 'sanitize', 'none'];
+
+/**
+ * Escape a label value for use inside a double-quoted selector such as `{job="api"}`.
+ * @param {*} value - The label value.
+ * @returns {string} The escaped value.
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/[\\"\n]/g, char => (char === '\n' ? '\\n' : `\\${char}`));
+}
+
+// Names starting with `__` are reserved for internal use by Prometheus and Loki.
+const isReserved = (name, reserved) => name.startsWith('__') || reserved.includes(name);
+
+function sanitizeName(name, invalid) {
+  const sanitized = String(name).replace(invalid, '_');
+  return /^[0-9]/.test(sanitized) || !sanitized ? `_${sanitized}` : sanitized;
+}
+
+/**
+ * Check a metric name, or replace invalid characters with `_` in `sanitize` mode.
+ * @param {string} name - The metric name.
+ * @param {string} [mode='sanitize'] - `sanitize`, `throw`, or `none` to keep the name as given.
+ * @returns {string} The valid metric name.
+ * @throws {ValidationError} If the name is invalid in `throw` mode.
+ */
+function validateMetricName(name, mode = 'sanitize') {
+  if (mode === 'none' || METRIC_NAME.test(name)) return name;
+  if (mode === 'sanitize' && typeof name === 'string') return sanitizeName(name, /[^a-zA-Z0-9_:]/g);
+  throw new ValidationError(`Invalid metric name: ${JSON.stringify(name)}`, { field: '__name__' });
+}
+
+/**
+ * Check label names and values against the Prometheus/Loki rules.
+ * In `sanitize` mode invalid characters in names are replaced with `_`, reserved names are prefixed
+ * with `exported_`, labels without a value are dropped and values of names that collide are joined with `;`.
+ * @param {Object} labels - The labels.
+ * @param {Object} [options={}] - The validation options.
+ * @param {string} [options.mode='sanitize'] - `sanitize`, `throw`, or `none` to keep the labels as given.
+ * @param {string[]} [options.reserved=[]] - Label names the caller sets itself, in addition to `__*`.
+ * @returns {Object} The valid labels.
+ * @throws {ValidationError} If a label is invalid in `throw` mode.
+ */
+function validateLabels(labels, { mode = 'sanitize', reserved = [] } = {}) {
+  if (!VALIDATION_MODES.includes(mode)) {
+    throw new ValidationError(`Unknown label validation mode: ${mode}`, { field: 'labelValidation' });
+  }
+  if (mode === 'none') return { ...labels };
+  const sanitize = mode === 'sanitize';
+  const valid = {};
+  for (const [name, value] of Object.entries(labels)) {
+    let label = name;
+    if (!LABEL_NAME.test(label)) {
+      if (!sanitize) throw new ValidationError(`Invalid label name: ${JSON.stringify(name)}`, { field: name });
+      label = sanitizeName(label, /[^a-zA-Z0-9_]/g);
+    }
+    if (isReserved(label, reserved)) {
+      if (!sanitize) throw new ValidationError(`Label name ${JSON.stringify(name)} is reserved`, { field: name });
+      label = `exported_${label}`;
+    }
+    if (value === null || value === undefined) {
+      if (!sanitize) throw new ValidationError(`Label ${JSON.stringify(name)} has no value`, { field: name });
+      continue;
+    }
+    valid[label] = label in valid ? `${valid[label]};${value}` : String(value);
+  }
+  return valid;
+}
+
+module.exports = {
+  escapeLabelValue,
+  validateLabels,
+  validateMetricName
+};
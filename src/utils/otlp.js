@@ -0,0 +1,122 @@
+/**
+ * Helpers for building OTLP export requests in their OTLP/HTTP JSON shape.
+ * The same objects are encoded to protobuf by the ProtobufHandler.
+ */
+
+const SCOPE = { name: 'qryn-client' };
+
+/**
+ * Convert a millisecond timestamp to a nanosecond string without losing the fractional part.
+ * @param {number} ms - The timestamp in milliseconds.
+ * @returns {string} The timestamp in nanoseconds.
+ */
+function toNanos(ms) {
+  const whole = Math.trunc(ms);
+  return (BigInt(whole) * 1000000n + BigInt(Math.round((ms - whole) * 1e6))).toString();
+}
+
+/**
+ * Convert a JS value to an OTLP AnyValue.
+ * @param {*} value - The value to convert.
+ * @returns {Object} The OTLP AnyValue.
+ */
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') return Number.isInteger(value) ? { intValue: value } : { doubleValue: value };
+  if (typeof value === 'bigint') return { intValue: value.toString() };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  return { stringValue: String(value) };
+}
+
+/**
+ * Convert an attributes object to a list of OTLP KeyValue.
+ * @param {Object} [attributes={}] - The attributes.
+ * @returns {Object[]} The OTLP attributes.
+ */
+function toAttributes(attributes = {}) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+/**
+ * Build an ExportTraceServiceRequest, grouping spans by service.
+ * @param {Span[]} spans - The spans to export.
+ * @returns {Object} The export request.
+ */
+function tracesRequest(spans) {
+  const services = new Map();
+  for (const span of spans) {
+    const serviceName = span.serviceName || 'unknown_service';
+    if (!services.has(serviceName)) services.set(serviceName, []);
+    services.get(serviceName).push(span.toOTLP());
+  }
+  return {
+    resourceSpans: Array.from(services, ([serviceName, spans]) => ({
+      resource: { attributes: toAttributes({ 'service.name': serviceName }) },
+      scopeSpans: [{ scope: SCOPE, spans }]
+    }))
+  };
+}
+
+/**
+ * Build an ExportLogsServiceRequest with one resource per stream.
+ * @param {Array<{labels: Object, entries: Object[]}>} streams - The stream labels and collected entries.
+ * @returns {Object} The export request.
+ */
+function logsRequest(streams) {
+  return {
+    resourceLogs: streams.map(({ labels, entries }) => ({
+      resource: { attributes: toAttributes(labels) },
+      scopeLogs: [{
+        scope: SCOPE,
+        logRecords: entries.map(entry => ({
+          timeUnixNano: entry.ts,
+          body: { stringValue: String(entry.line) },
+          attributes: toAttributes(entry.metadata || {})
+        }))
+      }]
+    }))
+  };
+}
+
+/**
+ * Build an ExportMetricsServiceRequest exporting every series as a gauge.
+ * @param {Array<{labels: Object[], samples: Object[]}>} timeseries - The collected metric series.
+ * @returns {Object} The export request.
+ */
+function metricsRequest(timeseries) {
+  return {
+    resourceMetrics: [{
+      resource: { attributes: [] },
+      scopeMetrics: [{
+        scope: SCOPE,
+        metrics: timeseries.map(({ labels, samples }) => {
+          const attributes = {};
+          let name = '';
+          for (const label of labels) {
+            if (label.name === '__name__') name = label.value;
+            else attributes[label.name] = label.value;
+          }
+          return {
+            name,
+            gauge: {
+              dataPoints: samples.map(sample => ({
+                attributes: toAttributes(attributes),
+                timeUnixNano: toNanos(sample.timestamp),
+                asDouble: sample.value
+              }))
+            }
+          };
+        })
+      }]
+    }]
+  };
+}
+
+module.exports = {
+  toNanos,
+  toAnyValue,
+  toAttributes,
+  tracesRequest,
+  logsRequest,
+  metricsRequest
+};
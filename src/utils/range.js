@@ -0,0 +1,117 @@
+/**
+ * Helpers to split long range queries into smaller requests and run them with bounded concurrency.
+ */
+
+const UNITS = { ms: 0.001, s: 1, m: 60, h: 3600, d: 86400, w: 604800, y: 31536000 };
+const DURATION = /(\d+(?:\.\d+)?)(ms|s|m|h|d|w|y)/g;
+
+/**
+ * Convert a duration to seconds.
+ * @param {string|number} duration - A number of seconds or a duration such as `15s` or `1h30m`.
+ * @returns {number} The duration in seconds.
+ * @throws {Error} If the duration is invalid.
+ */
+function toSeconds(duration) {
+  if (typeof duration === 'number' && duration > 0) return duration;
+  const text = String(duration);
+  if (/^\d+(\.\d+)?$/.test(text) && Number(text) > 0) return Number(text);
+  let seconds = 0;
+  const consumed = text.replace(DURATION, (match, value, unit) => {
+    seconds += Number(value) * UNITS[unit];
+    return '';
+  });
+  if (!text || consumed || !seconds) {
+    throw new Error(`Invalid duration: ${duration}`);
+  }
+  return seconds;
+}
+
+/**
+ * Convert a timestamp to seconds since the epoch.
+ * @param {number|string|Date} timestamp - Seconds since the epoch, a Date or an RFC3339 string.
+ * @returns {number} The timestamp in seconds.
+ * @throws {Error} If the timestamp is invalid.
+ */
+function toEpochSeconds(timestamp) {
+  if (timestamp instanceof Date) return timestamp.getTime() / 1000;
+  if (typeof timestamp === 'number' || /^\d+(\.\d+)?$/.test(timestamp)) return Number(timestamp);
+  const millis = Date.parse(timestamp);
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid timestamp: ${timestamp}`);
+  }
+  return millis / 1000;
+}
+
+/**
+ * Convert a timestamp to nanoseconds since the epoch.
+ * @param {bigint|number|string|Date} timestamp - Nanoseconds since the epoch, a Date or an RFC3339 string.
+ * @returns {bigint} The timestamp in nanoseconds.
+ * @throws {Error} If the timestamp is invalid.
+ */
+function toEpochNanos(timestamp) {
+  if (typeof timestamp === 'bigint') return timestamp;
+  if (timestamp instanceof Date) return BigInt(timestamp.getTime()) * 1000000n;
+  if (typeof timestamp === 'number' && Number.isFinite(timestamp)) return BigInt(Math.trunc(timestamp));
+  if (/^\d+$/.test(timestamp)) return BigInt(timestamp);
+  const millis = Date.parse(timestamp);
+  if (Number.isNaN(millis)) {
+    throw new Error(`Invalid timestamp: ${timestamp}`);
+  }
+  return BigInt(millis) * 1000000n;
+}
+
+/**
+ * Split a range query into chunks of whole steps. Every chunk starts on the evaluation grid of the
+ * full query (`start + n * step`) and ends one step before the next chunk starts, so each evaluation
+ * timestamp is returned exactly once.
+ * @param {number} start - The start timestamp in seconds.
+ * @param {number} end - The end timestamp in seconds.
+ * @param {number} step - The step in seconds.
+ * @param {number} chunkSize - The maximum chunk length in seconds, rounded down to whole steps (at least one).
+ * @returns {Array<{start: number, end: number}>} The chunks, in order.
+ */
+function splitRange(start, end, step, chunkSize) {
+  const stepsPerChunk = Math.max(1, Math.floor(chunkSize / step));
+  const chunks = [];
+  for (let index = 0; start + index * step <= end; index += stepsPerChunk) {
+    chunks.push({
+      start: start + index * step,
+      end: Math.min(start + (index + stepsPerChunk - 1) * step, end)
+    });
+  }
+  return chunks;
+}
+
+/**
+ * Map items with an async function, running at most `concurrency` calls at once and yielding the
+ * results in the order of the items.
+ * @param {Array} items - The items.
+ * @param {number} concurrency - The maximum number of calls in flight.
+ * @param {Function} fn - The async function.
+ * @returns {AsyncGenerator} The results.
+ */
+async function* mapConcurrent(items, concurrency, fn) {
+  const pending = [];
+  let next = 0;
+  const start = () => {
+    const item = items[next++];
+    const promise = Promise.resolve().then(() => fn(item));
+    // Failures are rethrown when the promise is awaited in order; avoid unhandled rejections meanwhile.
+    promise.catch(() => {});
+    pending.push(promise);
+  };
+  while (next < items.length && pending.length < Math.max(1, concurrency)) start();
+  while (pending.length) {
+    const result = await pending.shift();
+    if (next < items.length) start();
+    yield result;
+  }
+}
+
+module.exports = {
+  toSeconds,
+  toEpochSeconds,
+  toEpochNanos,
+  splitRange,
+  mapConcurrent
+};
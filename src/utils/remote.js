@@ -0,0 +1,114 @@
+/**
+ * Builders for Prometheus Remote Write 1.0 and 2.0 requests from collected metrics.
+ * Each collected series is `{ labels, samples, exemplars, histograms, metadata }` as returned by
+ * `Metric.collect()` plus the metric's metadata.
+ */
+
+const RESET_HINTS = ['unknown', 'yes', 'no', 'gauge'];
+
+function toHistogram(histogram) {
+  const float = Boolean(histogram.positiveCounts || histogram.negativeCounts);
+  const resetHint = histogram.resetHint || 'unknown';
+  if (!RESET_HINTS.includes(resetHint)) {
+    throw new Error(`Unknown histogram reset hint: ${resetHint}`);
+  }
+  return {
+    [float ? 'countFloat' : 'countInt']: histogram.count,
+    sum: histogram.sum,
+    schema: histogram.schema,
+    zeroThreshold: histogram.zeroThreshold || 0,
+    [float ? 'zeroCountFloat' : 'zeroCountInt']: histogram.zeroCount || 0,
+    negativeSpans: histogram.negativeSpans || [],
+    negativeDeltas: histogram.negativeDeltas || [],
+    negativeCounts: histogram.negativeCounts || [],
+    positiveSpans: histogram.positiveSpans || [],
+    positiveDeltas: histogram.positiveDeltas || [],
+    positiveCounts: histogram.positiveCounts || [],
+    resetHint,
+    timestamp: histogram.timestamp
+  };
+}
+
+/**
+ * Build a Remote Write 1.0 WriteRequest. Metadata is sent once per metric family.
+ * @param {Object[]} timeseries - The collected series.
+ * @returns {Object} The WriteRequest.
+ */
+function writeRequest(timeseries) {
+  const metadata = new Map();
+  for (const { metadata: meta } of timeseries) {
+    if (meta && !metadata.has(meta.family)) {
+      metadata.set(meta.family, {
+        type: meta.type.toUpperCase(),
+        metricFamilyName: meta.family,
+        help: meta.help,
+        unit: meta.unit
+      });
+    }
+  }
+  return {
+    timeseries: timeseries.map(({ labels, samples, exemplars = [], histograms = [] }) => ({
+      labels,
+      samples,
+      exemplars: exemplars.map(exemplar => ({
+        labels: Object.entries(exemplar.labels).map(([name, value]) => ({ name, value })),
+        value: exemplar.value,
+        timestamp: exemplar.timestamp
+      })),
+      histograms: histograms.map(histogram => {
+        const message = toHistogram(histogram);
+        return { ...message, resetHint: message.resetHint.toUpperCase() };
+      })
+    })),
+    metadata: Array.from(metadata.values())
+  };
+}
+
+/**
+ * Build a Remote Write 2.0 Request. Label names and values, help and unit texts are
+ * de-duplicated into the symbols table, which always starts with the empty string.
+ * @param {Object[]} timeseries - The collected series.
+ * @returns {Object} The Request.
+ */
+function writeRequestV2(timeseries) {
+  const symbols = [''];
+  const refs = new Map([['', 0]]);
+  const ref = symbol => {
+    if (!refs.has(symbol)) {
+      refs.set(symbol, symbols.length);
+      symbols.push(symbol);
+    }
+    return refs.get(symbol);
+  };
+  const labelRefs = labels => labels
+    .slice()
+    .sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))
+    .flatMap(label => [ref(label.name), ref(label.value)]);
+
+  return {
+    symbols,
+    timeseries: timeseries.map(({ labels, samples, exemplars = [], histograms = [], metadata }) => ({
+      labelsRefs: labelRefs(labels),
+      samples,
+      histograms: histograms.map(histogram => {
+        const message = toHistogram(histogram);
+        return { ...message, resetHint: `RESET_HINT_${message.resetHint === 'unknown' ? 'UNSPECIFIED' : message.resetHint.toUpperCase()}` };
+      }),
+      exemplars: exemplars.map(exemplar => ({
+        labelsRefs: labelRefs(Object.entries(exemplar.labels).map(([name, value]) => ({ name, value }))),
+        value: exemplar.value,
+        timestamp: exemplar.timestamp
+      })),
+      metadata: metadata ? {
+        type: `METRIC_TYPE_${metadata.type === 'unknown' ? 'UNSPECIFIED' : metadata.type.toUpperCase()}`,
+        helpRef: ref(metadata.help),
+        unitRef: ref(metadata.unit)
+      } : undefined
+    }))
+  };
+}
+
+module.exports = {
+  writeRequest,
+  writeRequestV2
+};
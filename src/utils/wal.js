@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { QrynError } = require('../types');
+
+const SEGMENT_PATTERN = /^wal-(\d+)\.log$/;
+
+/**
+ * File-backed write-ahead log for the Collector.
+ * Records are appended as JSON lines to the active segment. Appends are buffered
+ * and written together every `flushInterval` milliseconds, once `flushBytes` are
+ * buffered, and before a checkpoint or close. A push claims the
+ * segments written so far with `checkpoint()` and deletes them with `truncate()`
+ * once confirmed, or hands them back with `release()` if it failed.
+ */
+class WriteAheadLog {
+  #fd = null;
+  #activeFile = null;
+  #seq = 0;
+  #activeBytes = 0;
+  #sealed = [];
+  #claimed = new Set();
+  #buffer = [];
+  #bufferBytes = 0;
+  #flushTimer = null;
+
+  /**
+   * Create a WriteAheadLog.
+   * @param {Object} options - The WAL options.
+   * @param {string} options.dir - The directory to store the segments in.
+   * @param {number} [options.maxBytes=67108864] - The maximum size of all segments; the oldest are dropped beyond it,
+   *   unclaimed ones first.
+   * @param {number} [options.flushInterval=100] - The maximum time in milliseconds appended records stay buffered.
+   * @param {number} [options.flushBytes=65536] - Write buffered records as soon as they reach this size.
+   */
+  constructor({ dir, maxBytes = 64 * 1024 * 1024, flushInterval = 100, flushBytes = 64 * 1024 } = {}) {
+    if (!dir) throw new QrynError('wal.dir is required');
+    this.dir = dir;
+    this.maxBytes = maxBytes;
+    this.flushInterval = flushInterval;
+    this.flushBytes = flushBytes;
+    fs.mkdirSync(dir, { recursive: true });
+    for (const file of fs.readdirSync(dir).sort()) {
+      const match = SEGMENT_PATTERN.exec(file);
+      if (!match) continue;
+      this.#sealed.push({ file: path.join(dir, file), bytes: fs.statSync(path.join(dir, file)).size });
+      this.#seq = Math.max(this.#seq, Number(match[1]));
+    }
+  }
+
+  /**
+   * Total size of all segments in bytes, including buffered records.
+   * @returns {number}
+   */
+  get bytes() {
+    return this.#sealed.reduce((total, segment) => total + segment.bytes, this.#activeBytes);
+  }
+
+  /**
+   * Read all records left over by a previous process.
+   * @returns {Object[]} The records, oldest first.
+   */
+  replay() {
+    const records = [];
+    for (const { file } of this.#sealed) {
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line) continue;
+        try {
+          records.push(JSON.parse(line));
+        } catch (error) {
+          // A partially written last line after a crash; the rest of the segment is still valid.
+        }
+      }
+    }
+    return records;
+  }
+
+  /**
+   * Append a record to the active segment. The record is buffered and written with the next flush.
+   * @param {Object} record - The record to persist.
+   * @returns {number} The number of bytes dropped to stay within `maxBytes`.
+   */
+  append(record) {
+    const line = JSON.stringify(record) + '\n';
+    const bytes = Buffer.byteLength(line);
+    // Seal the active segment before it outgrows the limit, so it can be dropped like any other.
+    if (this.#activeBytes > 0 && this.bytes + bytes > this.maxBytes) this.#seal();
+    const dropped = this.#enforceLimit(bytes);
+    this.#buffer.push(line);
+    this.#bufferBytes += bytes;
+    this.#activeBytes += bytes;
+    if (this.#bufferBytes >= this.flushBytes) {
+      this.flush();
+    } else if (!this.#flushTimer) {
+      this.#flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+      // Buffered records are written on close; don't keep the process alive for them.
+      this.#flushTimer.unref();
+    }
+    return dropped;
+  }
+
+  /**
+   * Write the buffered records to the active segment.
+   */
+  flush() {
+    clearTimeout(this.#flushTimer);
+    this.#flushTimer = null;
+    if (!this.#buffer.length) return;
+    if (this.#fd === null) {
+      this.#seq++;
+      this.#activeFile = path.join(this.dir, `wal-${String(this.#seq).padStart(10, '0')}.log`);
+      this.#fd = fs.openSync(this.#activeFile, 'a');
+    }
+    fs.writeSync(this.#fd, this.#buffer.join(''));
+    this.#buffer = [];
+    this.#bufferBytes = 0;
+  }
+
+  #enforceLimit(incoming) {
+    let dropped = 0;
+    while (this.bytes + incoming > this.maxBytes && this.#sealed.length) {
+      // Segments claimed by a push in flight go last; their data is still held in memory until it is confirmed.
+      const index = Math.max(0, this.#sealed.findIndex(segment => !this.#claimed.has(segment.file)));
+      const [segment] = this.#sealed.splice(index, 1);
+      fs.rmSync(segment.file, { force: true });
+      dropped += segment.bytes;
+    }
+    return dropped;
+  }
+
+  #seal() {
+    this.flush();
+    if (this.#fd === null) return;
+    fs.closeSync(this.#fd);
+    this.#sealed.push({ file: this.#activeFile, bytes: this.#activeBytes });
+    this.#fd = null;
+    this.#activeBytes = 0;
+    this.#activeFile = null;
+  }
+
+  /**
+   * Seal the active segment and claim every segment not claimed by another push.
+   * @returns {string[]} The claimed segment files.
+   */
+  checkpoint() {
+    this.#seal();
+    const files = this.#sealed.map(segment => segment.file).filter(file => !this.#claimed.has(file));
+    files.forEach(file => this.#claimed.add(file));
+    return files;
+  }
+
+  /**
+   * Delete segments whose data was confirmed by the server.
+   * @param {string[]} files - The files returned by `checkpoint()`.
+   */
+  truncate(files) {
+    const confirmed = new Set(files);
+    this.#sealed = this.#sealed.filter(segment => !confirmed.has(segment.file));
+    for (const file of files) {
+      this.#claimed.delete(file);
+      fs.rmSync(file, { force: true });
+    }
+  }
+
+  /**
+   * Hand back segments of a failed push so a later push can claim them.
+   * @param {string[]} files - The files returned by `checkpoint()`.
+   */
+  release(files) {
+    files.forEach(file => this.#claimed.delete(file));
+  }
+
+  /**
+   * Write buffered records and close the active segment. Pending segments are kept for the next start.
+   */
+  close() {
+    this.#seal();
+  }
+}
+
+module.exports = WriteAheadLog;
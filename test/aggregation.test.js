@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Prometheus = require('../src/clients/prometheus');
+const Protobuff = require('../src/services/protobuff');
+const { Metric } = require('../src/models');
+const { QrynError } = require('../src/types');
+const { recordingService } = require('./helpers');
+
+const window = [{ value: 4, timestamp: 1000 }, { value: 1, timestamp: 3000 }, { value: 7, timestamp: 2000 }];
+
+const collectWith = (aggregation, samples = window) => {
+  const metric = new Metric('queue_size', {}, { aggregation });
+  samples.forEach(sample => metric.addSample(sample.value, sample.timestamp));
+  return metric.collect().samples;
+};
+
+describe('Sample aggregation', () => {
+  it('downsamples a window to one sample at its latest timestamp', () => {
+    assert.deepStrictEqual(collectWith('last'), [{ value: 1, timestamp: 3000 }]);
+    assert.deepStrictEqual(collectWith('sum'), [{ value: 12, timestamp: 3000 }]);
+    assert.deepStrictEqual(collectWith('min'), [{ value: 1, timestamp: 3000 }]);
+    assert.deepStrictEqual(collectWith('max'), [{ value: 7, timestamp: 3000 }]);
+    assert.deepStrictEqual(collectWith('avg'), [{ value: 4, timestamp: 3000 }]);
+    assert.deepStrictEqual(collectWith(samples => samples.slice(0, 1)), [{ value: 4, timestamp: 1000 }]);
+  });
+
+  it('computes rate from the last sample of the previous confirmed push', () => {
+    const metric = new Metric('requests_total', {}, { aggregation: 'rate' });
+    metric.addSample(10, 1000);
+    metric.addSample(30, 3000);
+    assert.deepStrictEqual(metric.collect().samples, [{ value: 10, timestamp: 3000 }]);
+    metric.confirm();
+
+    metric.addSample(60, 4000);
+    assert.deepStrictEqual(metric.collect().samples, [{ value: 30, timestamp: 4000 }]);
+    metric.undo();
+    // An undone push does not move the base of the rate.
+    assert.deepStrictEqual(metric.collect().samples, [{ value: 30, timestamp: 4000 }]);
+  });
+
+  it('aggregates large windows', () => {
+    const samples = Array.from({ length: 200000 }, (_, i) => ({ value: i, timestamp: i }));
+    assert.deepStrictEqual(collectWith('max', samples), [{ value: 199999, timestamp: 199999 }]);
+    assert.deepStrictEqual(collectWith('min', samples), [{ value: 0, timestamp: 199999 }]);
+  });
+
+  it('pushes the aggregated sample', async () => {
+    const protobuf = new Protobuff();
+    const service = recordingService();
+    const metric = new Metric('queue_size', {}, { aggregation: 'max' });
+    window.forEach(sample => metric.addSample(sample.value, sample.timestamp));
+
+    await new Prometheus(service).push([metric]);
+    const request = protobuf.WriteRequest.decode(await protobuf.decompressBuffer(service.requests[0].body));
+    const [series] = protobuf.WriteRequest.toObject(request, { longs: Number }).timeseries;
+    assert.deepStrictEqual(series.samples, [{ value: 7, timestamp: 3000 }]);
+  });
+
+  it('keeps the samples pending when the aggregation throws', async () => {
+    const service = recordingService();
+    const metric = new Metric('queue_size', {}, {
+      aggregation: () => {
+        throw new Error('bad aggregation');
+      }
+    });
+    metric.addSample(1, 1000);
+
+    await assert.rejects(new Prometheus(service).push([metric]), error => error instanceof QrynError && /bad aggregation/.test(error.message));
+    assert.strictEqual(service.requests.length, 0);
+    assert.deepStrictEqual(metric.samples, [{ value: 1, timestamp: 1000 }]);
+  });
+
+  it('rejects unknown aggregations', () => {
+    assert.throws(() => new Metric('up', {}, { aggregation: 'median' }), /Unknown aggregation/);
+  });
+});
@@ -0,0 +1,71 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Http = require('../src/services/http');
+const { AuthProvider, BasicAuth, BearerAuth, ApiKeyAuth, TokenAuth } = require('../src/services/auth');
+const { QrynError } = require('../src/types');
+const { mockFetch, jsonResponse } = require('./helpers');
+
+describe('AuthProvider.from', () => {
+  it('builds a provider for each configuration', () => {
+    assert.ok(AuthProvider.from({ username: 'user', password: 'secret' }) instanceof BasicAuth);
+    assert.ok(AuthProvider.from('token') instanceof BearerAuth);
+    assert.ok(AuthProvider.from({ token: 'token' }) instanceof BearerAuth);
+    assert.ok(AuthProvider.from({ apiKey: 'key' }) instanceof ApiKeyAuth);
+    assert.ok(AuthProvider.from(async () => 'token') instanceof TokenAuth);
+    assert.strictEqual(AuthProvider.from(undefined), null);
+  });
+
+  it('rejects unsupported configurations', () => {
+    assert.throws(() => AuthProvider.from({ password: 'secret' }), QrynError);
+  });
+
+  it('builds the authentication headers', async () => {
+    assert.deepStrictEqual(new BasicAuth({ username: 'user', password: 'secret' }).headers(), {
+      Authorization: `Basic ${Buffer.from('user:secret').toString('base64')}`
+    });
+    assert.deepStrictEqual(new ApiKeyAuth('key', { header: 'X-Key', scheme: 'ApiKey' }).headers(), { 'X-Key': 'ApiKey key' });
+    assert.deepStrictEqual(await new TokenAuth(async () => 'abc', { scheme: '' }).headers(), { Authorization: 'abc' });
+  });
+
+  it('fetches a new token once the cached one expires', async () => {
+    let fetched = 0;
+    const auth = new TokenAuth(async () => ({ token: `token-${++fetched}`, expiresAt: Date.now() + 1000 }), { refreshMargin: 2000 });
+    await auth.headers();
+    assert.deepStrictEqual(await auth.headers(), { Authorization: 'Bearer token-2' });
+  });
+});
+
+describe('Http authentication', () => {
+  let fetchMock;
+
+  afterEach(() => fetchMock.restore());
+
+  it('refreshes the token once after 401 and sends the request again', async () => {
+    const tokens = ['expired', 'fresh'];
+    const auth = new TokenAuth(async () => tokens.shift());
+    fetchMock = mockFetch((url, options) => jsonResponse(options.headers.Authorization === 'Bearer fresh' ? 200 : 401));
+    const http = new Http('http://a:3100', 5000, {}, auth);
+
+    await http.request('/ready');
+    assert.deepStrictEqual(fetchMock.calls.map(call => call.headers.Authorization), ['Bearer expired', 'Bearer fresh']);
+  });
+
+  it('fetches a single token for concurrent rejected requests', async () => {
+    let fetched = 0;
+    const auth = new TokenAuth(async () => `token-${++fetched}`);
+    fetchMock = mockFetch((url, options) => jsonResponse(options.headers.Authorization === 'Bearer token-2' ? 200 : 401));
+    const http = new Http('http://a:3100', 5000, {}, auth);
+
+    await Promise.all([http.request('/ready'), http.request('/ready'), http.request('/ready')]);
+    assert.strictEqual(fetched, 2);
+  });
+
+  it('gives up when the refreshed token is rejected as well', async () => {
+    const auth = new TokenAuth(async () => 'rejected');
+    fetchMock = mockFetch(() => jsonResponse(401));
+    const http = new Http('http://a:3100', 5000, {}, auth);
+
+    await assert.rejects(http.request('/ready'), error => error instanceof QrynError && error.statusCode === 401);
+    assert.strictEqual(fetchMock.calls.length, 2);
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Stream, Metric } = require('../src/models');
+const { QrynClient, Collector } = require('../src');
+const { QrynError } = require('../src/types');
+
+describe('Backpressure', () => {
+  it('drops the oldest entries by default', () => {
+    const drops = [];
+    const stream = new Stream({ job: 'api' }, { maxPendingItems: 2, onDropped: (source, count) => drops.push(count) });
+    ['a', 'b', 'c'].forEach(line => stream.addEntry(Date.now(), line));
+
+    assert.deepStrictEqual(stream.entries.map(entry => entry.line), ['b', 'c']);
+    assert.deepStrictEqual(drops, [1]);
+  });
+
+  it('drops the new sample with drop-newest', () => {
+    const metric = new Metric('up', {}, { maxPendingItems: 1, overflow: 'drop-newest' });
+    metric.addSample(1);
+    metric.addSample(2);
+    assert.deepStrictEqual(metric.samples.map(sample => sample.value), [1]);
+  });
+
+  it('blocks writers until a confirmed push frees room', async () => {
+    const stream = new Stream({ job: 'api' }, { maxPendingItems: 1, overflow: 'block' });
+    stream.addEntry(Date.now(), 'a');
+    const blocked = stream.addEntry(Date.now(), 'b');
+    assert.ok(blocked instanceof Promise);
+
+    stream.collect();
+    stream.confirm();
+    await blocked;
+    assert.deepStrictEqual(stream.entries.map(entry => entry.line), ['b']);
+  });
+
+  it('rejects blocked writers when closed', async () => {
+    const stream = new Stream({ job: 'api' }, { maxPendingItems: 1, overflow: 'block' });
+    const metric = new Metric('up', {}, { maxPendingItems: 1, overflow: 'block' });
+    stream.addEntry(Date.now(), 'a');
+    metric.addSample(1);
+    const entry = stream.addEntry(Date.now(), 'b');
+    const sample = metric.addSample(2);
+
+    stream.close();
+    metric.close();
+    await assert.rejects(entry, error => error instanceof QrynError && /Stream closed/.test(error.message));
+    await assert.rejects(sample, QrynError);
+  });
+
+  it('lets the collector close while a writer is blocked', async () => {
+    const client = new QrynClient({});
+    client.loki.push = async streams => streams.forEach(stream => {
+      stream.collect();
+      stream.confirm();
+    });
+    const collector = new Collector(client, { maxPendingItems: 1, overflow: 'block' });
+    const stream = collector.createStream({ job: 'api' });
+    stream.addEntry(Date.now(), 'a');
+    const blocked = stream.addEntry(Date.now(), 'b');
+
+    await collector.close({ timeoutMs: 1000 });
+    await assert.rejects(blocked, QrynError);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const { QrynClient, Collector } = require('../src');
+const WriteAheadLog = require('../src/utils/wal');
+const { mockFetch, jsonResponse, tempDir } = require('./helpers');
+
+const logLines = calls => calls.flatMap(call => JSON.parse(call.body).streams.flatMap(stream => stream.values.map(value => value[1])));
+
+describe('Collector write-ahead log', () => {
+  let fetchMock;
+  let dir;
+
+  afterEach(() => {
+    fetchMock.restore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const createCollector = options => {
+    const collector = new Collector(new QrynClient({ baseUrl: 'http://qryn:3100' }), { retry: false, wal: { dir }, ...options });
+    collector.on('error', () => {});
+    return collector;
+  };
+  const recordBodies = status => mockFetch((url, options, call) => {
+    call.body = options.body;
+    return jsonResponse(status);
+  });
+
+  it('replays entries of a failed push on the next start and truncates them once pushed', async () => {
+    dir = tempDir();
+    fetchMock = recordBodies(503);
+    const failing = createCollector();
+    failing.createStream({ job: 'api' }).addEntry(Date.now(), 'kept across restarts');
+    await assert.rejects(failing.close());
+    fetchMock.restore();
+
+    fetchMock = recordBodies(204);
+    const collector = createCollector();
+    assert.strictEqual(collector.total, 1);
+    await collector.close();
+
+    assert.deepStrictEqual(logLines(fetchMock.calls), ['kept across restarts']);
+    assert.deepStrictEqual(new Collector(new QrynClient({}), { wal: { dir } }).total, 0);
+  });
+
+  it('does not push while replaying, so no segment is truncated before all its records are pushed', async () => {
+    dir = tempDir();
+    fetchMock = recordBodies(503);
+    const failing = createCollector({ maxBulkSize: 100 });
+    const stream = failing.createStream({ job: 'api' });
+    for (let i = 0; i < 5; i++) stream.addEntry(Date.now(), `line ${i}`);
+    await assert.rejects(failing.close());
+    fetchMock.restore();
+
+    fetchMock = recordBodies(204);
+    const collector = createCollector({ maxBulkSize: 2 });
+    await new Promise(resolve => setTimeout(resolve, 50));
+
+    // Every line is either pushed or still in the log, so a crash now loses nothing.
+    const logged = new WriteAheadLog({ dir }).replay().map(record => record.line);
+    assert.deepStrictEqual([...logLines(fetchMock.calls), ...logged].sort(), ['line 0', 'line 1', 'line 2', 'line 3', 'line 4']);
+    await collector.close();
+  });
+
+  it('emits walDrop instead of throwing when the log outgrows maxBytes', async () => {
+    dir = tempDir();
+    fetchMock = recordBodies(204);
+    const collector = new Collector(new QrynClient({}), { wal: { dir, maxBytes: 200 } });
+    const drops = [];
+    collector.on('walDrop', drop => drops.push(drop));
+    const stream = collector.createStream({ job: 'api' });
+    for (let i = 0; i < 10; i++) stream.addEntry(Date.now(), `line ${i}`);
+
+    assert.ok(drops.length > 0);
+    assert.strictEqual(drops[0].maxBytes, 200);
+    assert.strictEqual(collector.total, 10);
+    await collector.close();
+  });
+
+  it('pushes entries of streams evicted from the cache before truncating the log', async () => {
+    dir = tempDir();
+    fetchMock = recordBodies(204);
+    const collector = createCollector({ cache: { max: 1 } });
+    collector.createStream({ job: 'a' }).addEntry(Date.now(), 'A');
+    collector.createStream({ job: 'b' }).addEntry(Date.now(), 'B');
+    await collector.close();
+
+    assert.deepStrictEqual(logLines(fetchMock.calls).sort(), ['A', 'B']);
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+  });
+});
@@ -0,0 +1,53 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const Http = require('../src/services/http');
+const { QrynError } = require('../src/types');
+const { mockFetch, jsonResponse } = require('./helpers');
+
+describe('Http compression', () => {
+  let fetchMock;
+
+  afterEach(() => fetchMock.restore());
+
+  const recordBodies = () => mockFetch((url, options, call) => {
+    call.body = options.body;
+    return jsonResponse(204);
+  });
+
+  it('compresses request bodies and asks for compressed responses', async () => {
+    fetchMock = recordBodies();
+    const http = new Http('http://qryn:3100', 5000, { 'Content-Type': 'application/json' }, null, { compression: 'gzip' });
+
+    await http.request('/loki/api/v1/push', { method: 'POST', body: '{"streams":[]}' });
+    const [call] = fetchMock.calls;
+    assert.strictEqual(call.headers['Content-Encoding'], 'gzip');
+    assert.strictEqual(call.headers['Accept-Encoding'], 'gzip, deflate, br');
+    assert.strictEqual(zlib.gunzipSync(call.body).toString(), '{"streams":[]}');
+  });
+
+  it('sends bodies that are already encoded unchanged, whatever the header case', async () => {
+    fetchMock = recordBodies();
+    const http = new Http('http://qryn:3100', 5000, {}, null, { compression: 'gzip' });
+    const body = Buffer.from('snappy encoded');
+
+    await http.request('/api/v1/prom/remote/write', { method: 'POST', body, headers: { 'content-encoding': 'snappy' } });
+    const [call] = fetchMock.calls;
+    assert.strictEqual(call.body, body);
+    assert.deepStrictEqual(Object.keys(call.headers).filter(name => /^content-encoding$/i.test(name)), ['content-encoding']);
+    assert.strictEqual(call.headers['content-encoding'], 'snappy');
+  });
+
+  it('lets request headers replace client headers of another case', async () => {
+    fetchMock = recordBodies();
+    const http = new Http('http://qryn:3100', 5000, { 'Content-Type': 'application/json' });
+
+    await http.request('/ready', { headers: { 'content-type': 'text/plain' } });
+    assert.deepStrictEqual(fetchMock.calls[0].headers, { 'content-type': 'text/plain' });
+  });
+
+  it('rejects unknown compressions', () => {
+    fetchMock = recordBodies();
+    assert.throws(() => new Http('http://qryn:3100', 5000, {}, null, { compression: 'brotli' }), QrynError);
+  });
+});
@@ -0,0 +1,72 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Http = require('../src/services/http');
+const { NetworkError } = require('../src/types');
+const { mockFetch, jsonResponse } = require('./helpers');
+
+const connectionRefused = () => {
+  throw new TypeError('fetch failed');
+};
+
+describe('Http failover', () => {
+  let fetchMock;
+
+  afterEach(() => fetchMock.restore());
+
+  it('sends the request to the next endpoint when one is unreachable', async () => {
+    fetchMock = mockFetch(url => (url.startsWith('http://a') ? connectionRefused() : jsonResponse(200, { status: 'success' })));
+    const http = new Http(['http://a:3100', 'http://b:3100'], 5000, {});
+
+    const res = await http.request('/ready');
+    assert.deepStrictEqual(res.response, { status: 'success' });
+    assert.deepStrictEqual(fetchMock.calls.map(call => call.url), ['http://a:3100/ready', 'http://b:3100/ready']);
+  });
+
+  it('does not fail over on client errors', async () => {
+    fetchMock = mockFetch(() => jsonResponse(400, { error: 'bad query' }));
+    const http = new Http(['http://a:3100', 'http://b:3100'], 5000, {});
+
+    await assert.rejects(http.request('/query'), { statusCode: 400 });
+    assert.strictEqual(fetchMock.calls.length, 1);
+  });
+
+  it('skips an endpoint with an open circuit', async () => {
+    fetchMock = mockFetch(url => (url.startsWith('http://a') ? connectionRefused() : jsonResponse(200)));
+    const http = new Http(['http://a:3100', 'http://b:3100'], 5000, {}, null, { circuitBreaker: { failureThreshold: 1 } });
+
+    await http.request('/ready');
+    await http.request('/ready');
+    assert.deepStrictEqual(fetchMock.calls.map(call => call.url), [
+      'http://a:3100/ready',
+      'http://b:3100/ready',
+      'http://b:3100/ready'
+    ]);
+    assert.deepStrictEqual(http.endpoints.health.map(endpoint => endpoint.healthy), [false, true]);
+  });
+
+  it('lets a single probe request through a half-open circuit', async () => {
+    fetchMock = mockFetch(async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      return connectionRefused();
+    });
+    const http = new Http('http://a:3100', 5000, {}, null, { circuitBreaker: { failureThreshold: 1, resetTimeout: 1 } });
+    await assert.rejects(http.request('/ready'), NetworkError);
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    fetchMock.calls.length = 0;
+    const results = await Promise.allSettled([http.request('/ready'), http.request('/ready'), http.request('/ready')]);
+    assert.strictEqual(fetchMock.calls.length, 1);
+    assert.ok(results.every(result => result.reason instanceof NetworkError));
+  });
+
+  it('uses the retry policy of the request', async () => {
+    fetchMock = mockFetch(() => jsonResponse(503));
+    const http = new Http('http://a:3100', 5000, {}, null, { retry: { attempts: 3, minDelay: 1 } });
+
+    await assert.rejects(http.request('/ready', { retry: false }), { statusCode: 503 });
+    assert.strictEqual(fetchMock.calls.length, 1);
+    await assert.rejects(http.request('/ready', { retry: { attempts: 2, minDelay: 1, shouldRetry: () => false } }));
+    assert.strictEqual(fetchMock.calls.length, 2);
+    assert.deepStrictEqual(http.endpoints.health[0].failures, 0);
+  });
+});
@@ -0,0 +1,65 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { QrynResponse } = require('../src/types');
+
+/**
+ * Replace the global fetch with a handler for the duration of a test.
+ * @param {Function} handler - Called with `(url, options, call)`; returns a Response or throws.
+ * @returns {{calls: Object[], restore: Function}} The recorded calls and a function restoring fetch.
+ */
+function mockFetch(handler) {
+  const original = global.fetch;
+  const calls = [];
+  global.fetch = async (url, options = {}) => {
+    const call = { url, method: options.method || 'GET', headers: options.headers || {} };
+    calls.push(call);
+    return handler(url, options, call);
+  };
+  return { calls, restore: () => { global.fetch = original; } };
+}
+
+/**
+ * Build a JSON response.
+ * @param {number} status - The HTTP status.
+ * @param {Object} [body={}] - The JSON body.
+ * @param {Object} [headers={}] - Additional response headers.
+ * @returns {Response}
+ */
+function jsonResponse(status, body = {}, headers = {}) {
+  return new Response(status === 204 ? null : JSON.stringify(body), {
+    status,
+    headers: { 'Content-Type': 'application/json', ...headers }
+  });
+}
+
+/**
+ * Create a stand-in for the Http service that records requests.
+ * @param {Function} [respond] - Called with `(path, options)`; returns the response body or throws.
+ * @returns {{requests: Object[], request: Function}} The recorded requests and the `request` method.
+ */
+function recordingService(respond = () => ({})) {
+  const requests = [];
+  return {
+    requests,
+    request: async (path, options = {}) => {
+      requests.push({ path, ...options });
+      return new QrynResponse(await respond(path, options), 200, {}, path);
+    }
+  };
+}
+
+/**
+ * Create an empty temporary directory.
+ * @returns {string} The directory.
+ */
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'qryn-client-'));
+}
+
+module.exports = {
+  mockFetch,
+  jsonResponse,
+  recordingService,
+  tempDir
+};
@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Counter, Gauge, Histogram, Summary } = require('../src/models');
+const { QrynClient, Collector } = require('../src');
+
+const values = metric => metric.samples.map(sample => sample.value);
+
+describe('Metric instruments', () => {
+  it('counts up and never down', () => {
+    const counter = new Counter('requests_total', { job: 'api' });
+    counter.inc();
+    counter.inc(2);
+    counter.snapshot(1000);
+
+    assert.deepStrictEqual(values(counter), [3]);
+    assert.strictEqual(counter.type, 'counter');
+    assert.throws(() => counter.inc(-1), /non-negative/);
+  });
+
+  it('sets, increases and decreases a gauge', () => {
+    const gauge = new Gauge('queue_size');
+    gauge.set(5);
+    gauge.inc();
+    gauge.dec(3);
+    gauge.snapshot(1000);
+
+    assert.deepStrictEqual(values(gauge), [3]);
+    assert.throws(() => gauge.set('5'), /must be a number/);
+  });
+
+  it('reports cumulative histogram buckets with sum and count', () => {
+    const histogram = new Histogram('latency_seconds', { job: 'api' }, { buckets: [1, 0.1, 0.5] });
+    [0.05, 0.3, 0.3, 2].forEach(value => histogram.observe(value));
+    histogram.snapshot(1000);
+
+    assert.deepStrictEqual(histogram.bucketSeries.map(series => series.labels.le), ['0.1', '0.5', '1', '+Inf']);
+    assert.deepStrictEqual(histogram.bucketSeries.map(series => values(series)[0]), [1, 3, 3, 4]);
+    assert.deepStrictEqual(values(histogram.sumSeries), [2.65]);
+    assert.deepStrictEqual(values(histogram.countSeries), [4]);
+    assert.strictEqual(histogram.bucketSeries[0].name, 'latency_seconds_bucket');
+    assert.strictEqual(histogram.bucketSeries[0].family, 'latency_seconds');
+  });
+
+  it('reports summary quantiles over the window', () => {
+    const summary = new Summary('response_size', {}, { quantiles: [0.5, 0.9], maxAge: 1000 });
+    for (let value = 1; value <= 10; value++) summary.observe(value, 500);
+    summary.observe(100, 900);
+    summary.snapshot(1400);
+
+    assert.deepStrictEqual(summary.quantileSeries.map(series => series.labels.quantile), ['0.5', '0.9']);
+    assert.deepStrictEqual(summary.quantileSeries.map(series => values(series)[0]), [6, 10]);
+    assert.deepStrictEqual(values(summary.countSeries), [11]);
+
+    summary.snapshot(5000);
+    assert.ok(Number.isNaN(values(summary.quantileSeries[0])[1]));
+    assert.deepStrictEqual(values(summary.sumSeries), [155, 155]);
+  });
+
+  it('returns the same instrument for the same name and labels', async () => {
+    const client = new QrynClient({});
+    client.prom.push = async metrics => metrics.forEach(metric => {
+      metric.collect();
+      metric.confirm();
+    });
+    const collector = new Collector(client);
+    const counter = collector.createCounter({ name: 'requests_total', labels: { job: 'api' }, help: 'Requests' });
+    assert.strictEqual(collector.createCounter({ name: 'requests_total', labels: { job: 'api' } }), counter);
+    assert.notStrictEqual(collector.createGauge({ name: 'requests_total', labels: { job: 'api' } }), counter);
+    assert.strictEqual(counter.help, 'Requests');
+
+    counter.snapshot();
+    assert.strictEqual(collector.total, 1);
+    await collector.close();
+  });
+});
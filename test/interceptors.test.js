@@ -0,0 +1,98 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Http = require('../src/services/http');
+const { QrynError, NetworkError } = require('../src/types');
+const { mockFetch, jsonResponse } = require('./helpers');
+
+describe('Http interceptors', () => {
+  let fetchMock;
+
+  afterEach(() => fetchMock.restore());
+
+  it('calls the hooks of each interceptor in the order they were added', async () => {
+    fetchMock = mockFetch(() => jsonResponse(200));
+    const http = new Http('http://qryn:3100', 5000, {});
+    const calls = [];
+    const record = name => ({
+      onRequest: () => calls.push(`${name}.onRequest`),
+      onResponse: context => calls.push(`${name}.onResponse ${context.status}`)
+    });
+    http.use(record('first'));
+    http.use(record('second'));
+
+    await http.request('/ready');
+    assert.deepStrictEqual(calls, ['first.onRequest', 'second.onRequest', 'first.onResponse 200', 'second.onResponse 200']);
+  });
+
+  it('sends headers changed in onRequest', async () => {
+    fetchMock = mockFetch(() => jsonResponse(200));
+    const http = new Http('http://qryn:3100', 5000, { 'Content-Type': 'application/json' });
+    http.use({
+      onRequest: context => {
+        context.headers.traceparent = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+      }
+    });
+
+    await http.request('/ready', { headers: { 'X-Request': 'a' } });
+    assert.strictEqual(fetchMock.calls[0].headers.traceparent, '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01');
+    assert.strictEqual(fetchMock.calls[0].headers['X-Request'], 'a');
+  });
+
+  it('passes a null status to onError for network failures', async () => {
+    fetchMock = mockFetch(() => {
+      throw new TypeError('fetch failed');
+    });
+    const http = new Http('http://qryn:3100', 5000, {});
+    const errors = [];
+    http.use({ onError: context => errors.push(context) });
+
+    await assert.rejects(http.request('/ready'), NetworkError);
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0].status, null);
+    assert.ok(errors[0].error instanceof NetworkError);
+  });
+
+  it('passes the response status to onError for HTTP errors', async () => {
+    fetchMock = mockFetch(() => jsonResponse(503));
+    const http = new Http('http://qryn:3100', 5000, {});
+    const statuses = [];
+    http.use({ onError: context => statuses.push(context.status) });
+
+    await assert.rejects(http.request('/ready'), { statusCode: 503 });
+    assert.deepStrictEqual(statuses, [503]);
+  });
+
+  it('fails the request when a hook throws', async () => {
+    fetchMock = mockFetch(() => jsonResponse(200));
+    const http = new Http('http://qryn:3100', 5000, {});
+    http.use({
+      onRequest: () => {
+        throw new Error('blocked');
+      }
+    });
+
+    await assert.rejects(http.request('/ready'), /blocked/);
+    assert.strictEqual(fetchMock.calls.length, 0);
+  });
+
+  it('removes an interceptor with the function returned by use()', async () => {
+    fetchMock = mockFetch(() => jsonResponse(200));
+    const http = new Http('http://qryn:3100', 5000, {});
+    let calls = 0;
+    const remove = http.use({ onRequest: () => calls++ });
+
+    await http.request('/ready');
+    remove();
+    await http.request('/ready');
+    assert.strictEqual(calls, 1);
+    assert.strictEqual(http.interceptors.length, 0);
+  });
+
+  it('rejects interceptors without hooks', () => {
+    fetchMock = mockFetch(() => jsonResponse(200));
+    const http = new Http('http://qryn:3100', 5000, {});
+
+    assert.throws(() => http.use({}), QrynError);
+    assert.throws(() => http.use(null), QrynError);
+  });
+});
@@ -0,0 +1,67 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { escapeLabelValue, validateLabels, validateMetricName } = require('../src/utils/labels');
+const { Stream, Metric, Histogram } = require('../src/models');
+const { QrynClient } = require('../src');
+const { ValidationError } = require('../src/types');
+
+describe('Label validation', () => {
+  it('sanitizes invalid names by default', () => {
+    assert.deepStrictEqual(validateLabels({ 'service.name': 'api', 'request-id': '1', '1st': 'a' }), {
+      service_name: 'api',
+      request_id: '1',
+      _1st: 'a'
+    });
+    assert.strictEqual(validateMetricName('http.requests-total'), 'http_requests_total');
+  });
+
+  it('prefixes reserved names and drops labels without a value', () => {
+    assert.deepStrictEqual(validateLabels({ __name__: 'x', le: '1', job: null }, { reserved: ['le'] }), {
+      exported___name__: 'x',
+      exported_le: '1'
+    });
+  });
+
+  it('joins the values of names that collide once sanitized', () => {
+    assert.deepStrictEqual(validateLabels({ 'a.b': '1', 'a-b': '2' }), { a_b: '1;2' });
+  });
+
+  it('throws a ValidationError naming the label in throw mode', () => {
+    assert.throws(() => validateLabels({ 'service-name': 'api' }, { mode: 'throw' }),
+      error => error instanceof ValidationError && error.field === 'service-name');
+    assert.throws(() => validateLabels({ __name__: 'x' }, { mode: 'throw' }), /reserved/);
+    assert.throws(() => validateLabels({ job: undefined }, { mode: 'throw' }), /no value/);
+    assert.throws(() => validateMetricName('1bad', 'throw'), ValidationError);
+  });
+
+  it('keeps labels as given in none mode', () => {
+    assert.deepStrictEqual(validateLabels({ __name__: 'up', 'a.b': 'c' }, { mode: 'none' }), { __name__: 'up', 'a.b': 'c' });
+    assert.strictEqual(validateMetricName('', 'none'), '');
+  });
+
+  it('rejects unknown modes', () => {
+    assert.throws(() => validateLabels({}, { mode: 'strict' }), ValidationError);
+  });
+
+  it('escapes quotes, backslashes and newlines in values', () => {
+    assert.strictEqual(escapeLabelValue('say "hi"\\\n'), 'say \\"hi\\"\\\\\\n');
+  });
+
+  it('formats the sanitized labels of a stream', () => {
+    const stream = new Stream({ 'service.name': 'api', msg: 'a "quoted"\nvalue' });
+    assert.deepStrictEqual(stream.labels, { service_name: 'api', msg: 'a "quoted"\nvalue' });
+    assert.strictEqual(stream.toJSON().labels, '{service_name="api",msg="a \\"quoted\\"\\nvalue"}');
+  });
+
+  it('applies the client setting to streams and metrics', () => {
+    const strict = new QrynClient({ labelValidation: 'throw' });
+    assert.throws(() => strict.createStream({ 'service.name': 'api' }), ValidationError);
+    assert.throws(() => strict.createMetric({ name: 'bad-name' }), ValidationError);
+    assert.strictEqual(new QrynClient({}).createMetric({ name: 'bad-name' }).name, 'bad_name');
+  });
+
+  it('reserves le on histograms', () => {
+    assert.throws(() => new Histogram('latency', { le: '1' }, { labelValidation: 'throw' }), /reserved/);
+    assert.ok(new Metric('up', { job: 'api' }));
+  });
+});
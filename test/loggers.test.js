@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { QrynClient, Collector } = require('../src');
+const { createPinoDestination, WinstonTransport, patchConsole } = require('../src/loggers');
+
+const createCollector = () => {
+  const client = new QrynClient({});
+  client.loki.push = async streams => streams.forEach(stream => {
+    stream.collect();
+    stream.confirm();
+  });
+  return new Collector(client);
+};
+
+const entries = collector => [...collector.streams.values()].flatMap(stream => stream.entries.map(entry => ({ labels: stream.labels, ...entry })));
+
+describe('Logger adapters', () => {
+  it('maps pino records to streams, metadata and lines', async () => {
+    const collector = createCollector();
+    const destination = createPinoDestination(collector, {
+      labels: { job: 'api' },
+      labelFields: ['service.name'],
+      metadataFields: ['trace_id']
+    });
+    destination.write(`${JSON.stringify({ level: 40, time: 1700000000123, 'service.name': 'users', trace_id: 'abc', msg: 'slow' })}\nnot json\n`);
+
+    const record = entries(collector).find(entry => entry.line !== 'not json');
+    const raw = entries(collector).find(entry => entry.line === 'not json');
+    assert.deepStrictEqual(record.labels, { job: 'api', level: 'warn', service_name: 'users' });
+    assert.strictEqual(record.ts, '1700000000123000000');
+    assert.deepStrictEqual(record.metadata, { trace_id: 'abc' });
+    assert.strictEqual(record.line, '{"msg":"slow"}');
+    assert.deepStrictEqual(raw.labels, { job: 'api' });
+    await collector.close();
+  });
+
+  it('formats lines as logfmt and maps custom pino levels', async () => {
+    const collector = createCollector();
+    const destination = createPinoDestination(collector, { levels: { audit: 35 }, format: 'logfmt' });
+    destination.write(JSON.stringify({ level: 35, msg: 'user signed in', user: 'ada', empty: '' }));
+
+    const [record] = entries(collector);
+    assert.strictEqual(record.labels.level, 'audit');
+    assert.strictEqual(record.line, 'msg="user signed in" user=ada empty=""');
+    await collector.close();
+  });
+
+  it('adds winston records at or above the transport level', async () => {
+    const collector = createCollector();
+    const transport = new WinstonTransport(collector, { level: 'info', levelLabel: null });
+    transport.emit('pipe', { levels: { error: 0, warn: 1, info: 2, debug: 5 } });
+    await new Promise(resolve => transport.write({ level: 'info', [Symbol.for('level')]: 'info', message: 'kept', timestamp: 1000 }, resolve));
+    await new Promise(resolve => transport.write({ level: 'debug', [Symbol.for('level')]: 'debug', message: 'skipped' }, resolve));
+
+    assert.deepStrictEqual(entries(collector).map(entry => entry.line), ['{"message":"kept","level":"info"}']);
+    await collector.close();
+  });
+
+  it('copies console output to the collector', async () => {
+    const collector = createCollector();
+    const restore = patchConsole(collector, { methods: ['warn'], passthrough: false, labels: { job: 'api' } });
+    try {
+      console.warn('%d retries left', 2);
+    } finally {
+      restore();
+    }
+
+    const [record] = entries(collector);
+    assert.deepStrictEqual(record.labels, { job: 'api', level: 'warn' });
+    assert.strictEqual(record.line, '2 retries left');
+    await collector.close();
+  });
+
+  it('drops records once the collector is closed', async () => {
+    const collector = createCollector();
+    await collector.close();
+    const restore = patchConsole(collector, { methods: ['info'], passthrough: false });
+    try {
+      assert.doesNotThrow(() => console.info('late'));
+    } finally {
+      restore();
+    }
+    assert.doesNotThrow(() => createPinoDestination(collector).write('{"msg":"late"}'));
+    await new Promise((resolve, reject) => new WinstonTransport(collector).log({ level: 'info', message: 'late' }, error => (error ? reject(error) : resolve())));
+  });
+});
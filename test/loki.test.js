@@ -0,0 +1,69 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Loki = require('../src/clients/loki');
+const Protobuff = require('../src/services/protobuff');
+const { Stream } = require('../src/models');
+const { QrynError } = require('../src/types');
+const { recordingService } = require('./helpers');
+
+describe('Loki protobuf push', () => {
+  const protobuf = new Protobuff();
+
+  it('sends a snappy-compressed PushRequest', async () => {
+    const service = recordingService();
+    const loki = new Loki(service, { encoding: 'protobuf' });
+    const stream = new Stream({ job: 'api' });
+    stream.addEntry(1700000000123456789n, 'hello', { trace_id: 'abc' });
+
+    await loki.push([stream]);
+    const [request] = service.requests;
+    assert.strictEqual(request.path, '/loki/api/v1/push');
+    assert.strictEqual(request.headers['Content-Type'], 'application/x-protobuf');
+    assert.strictEqual(request.headers['Content-Encoding'], 'snappy');
+
+    const decoded = protobuf.PushRequest.toObject(
+      protobuf.PushRequest.decode(await protobuf.decompressBuffer(request.body)),
+      { longs: Number }
+    );
+    assert.deepStrictEqual(decoded.streams, [{
+      labels: '{job="api"}',
+      entries: [{
+        timestamp: { seconds: 1700000000, nanos: 123456789 },
+        line: 'hello',
+        structuredMetadata: [{ name: 'trace_id', value: 'abc' }]
+      }]
+    }]);
+    assert.strictEqual(stream.pendingItems, 0);
+  });
+
+  it('keeps the entries pending when encoding fails', async () => {
+    const service = recordingService();
+    const loki = new Loki(service, { encoding: 'protobuf' });
+    loki.protobufHandler = Object.create(loki.protobufHandler, {
+      compressBuffer: { value: async () => { throw new Error('snappy failed'); } }
+    });
+    const stream = new Stream({ job: 'api' });
+    stream.addEntry(Date.now(), 'kept');
+
+    await assert.rejects(loki.push([stream]), error => error instanceof QrynError && /snappy failed/.test(error.message));
+    assert.strictEqual(service.requests.length, 0);
+    assert.deepStrictEqual(stream.entries.map(entry => entry.line), ['kept']);
+  });
+
+  it('keeps the entries pending when the push fails', async () => {
+    const service = recordingService(() => {
+      throw new QrynError('unavailable', 503);
+    });
+    const loki = new Loki(service, { encoding: 'protobuf' });
+    const stream = new Stream({ job: 'api' });
+    stream.addEntry(Date.now(), 'kept');
+
+    await assert.rejects(loki.push([stream]), { statusCode: 503 });
+    assert.deepStrictEqual(stream.entries.map(entry => entry.line), ['kept']);
+  });
+
+  it('rejects anything but streams', async () => {
+    const loki = new Loki(recordingService());
+    await assert.rejects(loki.push([{ labels: {} }]), QrynError);
+  });
+});
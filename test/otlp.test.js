@@ -0,0 +1,75 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Loki = require('../src/clients/loki');
+const Prometheus = require('../src/clients/prometheus');
+const TempoClient = require('../src/clients/tempo');
+const Protobuff = require('../src/services/protobuff');
+const { Stream, Metric, Trace } = require('../src/models');
+const { toNanos, toAnyValue } = require('../src/utils/otlp');
+const { recordingService } = require('./helpers');
+
+describe('OTLP protobuf push', () => {
+  const protobuf = new Protobuff();
+  const decode = (type, body) => type.toObject(type.decode(body), { longs: String, bytes: String });
+
+  it('sends logs with one resource per stream', async () => {
+    const service = recordingService();
+    const stream = new Stream({ job: 'api' });
+    stream.addEntry(1700000000123456789n, 'hello', { trace_id: 'abc' });
+
+    await new Loki(service, { protocol: 'otlp' }).push([stream]);
+    const [request] = service.requests;
+    assert.strictEqual(request.path, '/v1/logs');
+    assert.strictEqual(request.headers['Content-Type'], 'application/x-protobuf');
+    const [resourceLogs] = decode(protobuf.ExportLogsServiceRequest, request.body).resourceLogs;
+    assert.deepStrictEqual(resourceLogs.resource.attributes, [{ key: 'job', value: { stringValue: 'api' } }]);
+    const [record] = resourceLogs.scopeLogs[0].logRecords;
+    assert.strictEqual(record.timeUnixNano, '1700000000123456789');
+    assert.deepStrictEqual(record.body, { stringValue: 'hello' });
+    assert.deepStrictEqual(record.attributes, [{ key: 'trace_id', value: { stringValue: 'abc' } }]);
+  });
+
+  it('sends metrics as gauges named after the series', async () => {
+    const service = recordingService();
+    const metric = new Metric('http_requests', { method: 'GET' });
+    metric.addSample(42, 1700000000000.5);
+
+    await new Prometheus(service, { protocol: 'otlp' }).push([metric]);
+    const [request] = service.requests;
+    assert.strictEqual(request.path, '/v1/metrics');
+    const [gauge] = decode(protobuf.ExportMetricsServiceRequest, request.body).resourceMetrics[0].scopeMetrics[0].metrics;
+    assert.strictEqual(gauge.name, 'http_requests');
+    assert.deepStrictEqual(gauge.gauge.dataPoints, [{
+      attributes: [{ key: 'method', value: { stringValue: 'GET' } }],
+      timeUnixNano: '1700000000000500000',
+      asDouble: 42
+    }]);
+  });
+
+  it('sends traces with binary trace and span IDs', async () => {
+    const service = recordingService();
+    const trace = new Trace({ serviceName: 'api' });
+    const parent = trace.createSpan('GET /users', { startTime: 1700000000000 });
+    const child = trace.createSpan('SELECT', { parentSpanId: parent.spanId, startTime: 1700000000010 });
+    child.end(1700000000020);
+    parent.end(1700000000030);
+
+    await new TempoClient(service, { protocol: 'otlp' }).push([trace]);
+    const [request] = service.requests;
+    assert.strictEqual(request.path, '/v1/traces');
+    const message = protobuf.ExportTraceServiceRequest.decode(request.body);
+    const spans = message.resourceSpans[0].scopeSpans[0].spans;
+    assert.deepStrictEqual(spans.map(span => span.name), ['SELECT', 'GET /users']);
+    assert.strictEqual(Buffer.from(spans[0].traceId).toString('hex'), trace.traceId);
+    assert.strictEqual(Buffer.from(spans[0].parentSpanId).toString('hex'), parent.spanId);
+    assert.strictEqual(spans[1].parentSpanId.length, 0);
+  });
+
+  it('converts timestamps and attribute values', () => {
+    assert.strictEqual(toNanos(1700000000000.25), '1700000000000250000');
+    assert.deepStrictEqual(toAnyValue(3), { intValue: 3 });
+    assert.deepStrictEqual(toAnyValue(0.5), { doubleValue: 0.5 });
+    assert.deepStrictEqual(toAnyValue(2n ** 63n - 1n), { intValue: '9223372036854775807' });
+    assert.deepStrictEqual(toAnyValue([true, 'x']), { arrayValue: { values: [{ boolValue: true }, { stringValue: 'x' }] } });
+  });
+});
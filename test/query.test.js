@@ -0,0 +1,55 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { promql, logql } = require('../src/query');
+const Prometheus = require('../src/clients/prometheus');
+const { ValidationError } = require('../src/types');
+const { recordingService } = require('./helpers');
+
+describe('Query builders', () => {
+  it('builds PromQL with quoted matchers', () => {
+    const query = promql.metric('http_requests_total')
+      .where({ job: 'api', status: /5../ })
+      .rate('5m')
+      .sumBy('status');
+    assert.strictEqual(String(query), 'sum by (status) (rate(http_requests_total{job="api", status=~"5.."}[5m]))');
+  });
+
+  it('escapes quotes, backslashes and line breaks in label values', () => {
+    const query = promql.metric('up').where({ path: 'C:\\logs\\"app"\n' });
+    assert.strictEqual(String(query), 'up{path="C:\\\\logs\\\\\\"app\\"\\n"}');
+  });
+
+  it('matches array values literally', () => {
+    const query = logql.stream({ host: ['a.example.com', 'b+c'] });
+    assert.strictEqual(String(query), '{host=~"a\\\\.example\\\\.com|b\\\\+c"}');
+  });
+
+  it('builds LogQL pipelines and metric queries', () => {
+    const errors = logql.stream({ app: 'api', env: { ne: 'dev' } })
+      .contains('say "hi"')
+      .json()
+      .where('status', '>=', 500)
+      .lineFormat('{{.method}} {{.path}}');
+    assert.strictEqual(String(errors), '{app="api", env!="dev"} |= "say \\"hi\\"" | json | status >= 500 | line_format "{{.method}} {{.path}}"');
+    assert.strictEqual(String(errors.rate('1m').sumBy('path')), `sum by (path) (rate(${errors} [1m]))`);
+  });
+
+  it('keeps builders immutable', () => {
+    const base = logql.stream({ app: 'api' });
+    base.contains('error');
+    assert.strictEqual(String(base), '{app="api"}');
+  });
+
+  it('throws a ValidationError on invalid names, operators and durations', () => {
+    assert.throws(() => promql.metric('http-requests'), ValidationError);
+    assert.throws(() => promql.metric('up').where({ 'bad-label': 'x' }), error => error instanceof ValidationError && error.field === 'bad-label');
+    assert.throws(() => logql.stream({ app: { like: 'api' } }), ValidationError);
+    assert.throws(() => promql.metric('up').rate('5 minutes'), ValidationError);
+  });
+
+  it('sends a built query as its string', async () => {
+    const service = recordingService(() => ({ status: 'success', data: { resultType: 'vector', result: [] } }));
+    await new Prometheus(service).createReader().query(promql.metric('up').where({ job: 'api' }));
+    assert.strictEqual(service.requests[0].body.get('query'), 'up{job="api"}');
+  });
+});
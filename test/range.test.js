@@ -0,0 +1,121 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Loki = require('../src/clients/loki');
+const Prometheus = require('../src/clients/prometheus');
+const { MatrixResult } = require('../src/types');
+const { splitRange, mapConcurrent, toSeconds } = require('../src/utils/range');
+const { recordingService } = require('./helpers');
+
+/**
+ * Serve log entries like the Loki query_range endpoint: `start` inclusive, `end` exclusive, at most `limit`.
+ */
+function lokiService(entries) {
+  return recordingService(path => {
+    const params = new URLSearchParams(path.split('?')[1]);
+    const forward = params.get('direction') === 'forward';
+    const page = entries
+      .filter(entry => entry.ts >= BigInt(params.get('start')) && entry.ts < BigInt(params.get('end')))
+      .sort((a, b) => (a.ts < b.ts ? -1 : a.ts > b.ts ? 1 : 0) * (forward ? 1 : -1))
+      .slice(0, Number(params.get('limit')));
+    const streams = new Map();
+    for (const { job, ts, line } of page) {
+      if (!streams.has(job)) streams.set(job, { stream: { job }, values: [] });
+      streams.get(job).values.push([String(ts), line]);
+    }
+    return { status: 'success', data: { resultType: 'streams', result: [...streams.values()] } };
+  });
+}
+
+const collect = async generator => {
+  const items = [];
+  for await (const item of generator) items.push(item);
+  return items;
+};
+
+describe('Loki pagination', () => {
+  const entries = [
+    { job: 'api', ts: 1n, line: 'a' },
+    { job: 'api', ts: 2n, line: 'b' },
+    { job: 'api', ts: 2n, line: 'c' },
+    { job: 'web', ts: 2n, line: 'b' },
+    { job: 'api', ts: 3n, line: 'd' },
+    { job: 'api', ts: 4n, line: 'e' }
+  ];
+  const lines = rows => rows.map(row => `${row.labels.job}:${row.line}`).sort();
+  const all = ['api:a', 'api:b', 'api:c', 'api:d', 'api:e', 'web:b'];
+
+  it('yields every entry once across pages sharing a boundary timestamp', async () => {
+    for (const direction of ['backward', 'forward']) {
+      const service = lokiService(entries);
+      const rows = await collect(new Loki(service).createReader().paginate('{job=~".+"}', 0, 10, { limit: 4, direction }));
+      assert.deepStrictEqual(lines(rows), all, direction);
+      assert.ok(service.requests.length > 2);
+    }
+  });
+
+  it('keeps identical lines logged at the same nanosecond', async () => {
+    const repeated = [
+      { job: 'api', ts: 1n, line: 'retry' },
+      { job: 'api', ts: 1n, line: 'retry' },
+      { job: 'api', ts: 2n, line: 'retry' },
+      { job: 'api', ts: 2n, line: 'retry' },
+      { job: 'api', ts: 3n, line: 'retry' }
+    ];
+    const rows = await collect(new Loki(lokiService(repeated)).createReader()
+      .paginate('{job="api"}', 0, 10, { limit: 3, direction: 'forward' }));
+    assert.deepStrictEqual(rows.map(row => row.nanoseconds), ['1', '1', '2', '2', '3']);
+  });
+
+  it('throws when more than limit entries share a timestamp', async () => {
+    const crowded = [1, 2, 3].map(i => ({ job: 'api', ts: 5n, line: `line ${i}` }));
+    await assert.rejects(collect(new Loki(lokiService(crowded)).createReader().paginate('{job="api"}', 0, 10, { limit: 2 })),
+      /share the timestamp 5/);
+  });
+
+  it('rejects metric queries', async () => {
+    const service = recordingService(() => ({ status: 'success', data: { resultType: 'matrix', result: [] } }));
+    await assert.rejects(collect(new Loki(service).createReader().paginate('rate({job="api"}[1m])', 0, 10)), /expected a log query/);
+  });
+});
+
+describe('Chunked range queries', () => {
+  it('splits a range on the step grid without overlap', () => {
+    assert.deepStrictEqual(splitRange(0, 100, 15, 40), [
+      { start: 0, end: 15 },
+      { start: 30, end: 45 },
+      { start: 60, end: 75 },
+      { start: 90, end: 100 }
+    ]);
+    assert.strictEqual(toSeconds('1h30m'), 5400);
+    assert.throws(() => toSeconds('soon'), /Invalid duration/);
+  });
+
+  it('yields results in order with bounded concurrency', async () => {
+    let running = 0;
+    let peak = 0;
+    const results = await collect(mapConcurrent([30, 10, 20, 5], 2, async delay => {
+      peak = Math.max(peak, ++running);
+      await new Promise(resolve => setTimeout(resolve, delay));
+      running--;
+      return delay;
+    }));
+    assert.deepStrictEqual(results, [30, 10, 20, 5]);
+    assert.strictEqual(peak, 2);
+  });
+
+  it('merges the chunks of a Prometheus range query by series', async () => {
+    const service = recordingService((path, options) => {
+      const start = Number(options.body.get('start'));
+      const end = Number(options.body.get('end'));
+      const values = [];
+      for (let t = start; t <= end; t += 60) values.push([t, String(t)]);
+      return { status: 'success', data: { resultType: 'matrix', result: [{ metric: { job: 'api' }, values }] } };
+    });
+    const result = await new Prometheus(service).createReader().queryRangeChunked('up', 0, 600, '1m', { chunkSize: '5m' });
+
+    assert.ok(result instanceof MatrixResult);
+    assert.strictEqual(service.requests.length, 3);
+    const [series] = result.result;
+    assert.deepStrictEqual(series.values.map(([t]) => t), [0, 60, 120, 180, 240, 300, 360, 420, 480, 540, 600]);
+  });
+});
@@ -0,0 +1,62 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Prometheus = require('../src/clients/prometheus');
+const Protobuff = require('../src/services/protobuff');
+const { Metric } = require('../src/models');
+const { QrynError } = require('../src/types');
+const { recordingService } = require('./helpers');
+
+describe('Prometheus remote read', () => {
+  const protobuf = new Protobuff();
+  const readResponse = timeseries => protobuf.compressBuffer(
+    protobuf.ReadResponse.encode(protobuf.ReadResponse.fromObject({ results: [{ timeseries }] })).finish()
+  );
+
+  it('sends a snappy-compressed ReadRequest with the matchers', async () => {
+    let query;
+    const service = recordingService(async (path, options) => {
+      const request = protobuf.ReadRequest.decode(await protobuf.decompressBuffer(options.body));
+      [query] = protobuf.ReadRequest.toObject(request, { longs: Number, enums: String }).queries;
+      return readResponse([]);
+    });
+    const reader = new Prometheus(service, { orgId: 'tenant' }).createReader();
+
+    await reader.remoteRead({ start: 1000, end: 2000, matchers: [{ name: '__name__', value: 'up' }, { name: 'job', value: 'api|web', type: '=~' }] });
+    const [request] = service.requests;
+    assert.strictEqual(request.path, '/api/v1/prom/remote/read');
+    assert.strictEqual(request.responseType, 'buffer');
+    assert.strictEqual(request.headers['X-Prometheus-Remote-Read-Version'], '0.1.0');
+    assert.strictEqual(request.headers['X-Scope-OrgID'], 'tenant');
+    assert.strictEqual(query.startTimestampMs, 1000);
+    assert.strictEqual(query.endTimestampMs, 2000);
+    assert.deepStrictEqual(query.matchers, [{ type: 'EQ', name: '__name__', value: 'up' }, { type: 'RE', name: 'job', value: 'api|web' }]);
+  });
+
+  it('decodes the series into metrics with their samples', async () => {
+    const service = recordingService(() => readResponse([
+      {
+        labels: [{ name: '__name__', value: 'up' }, { name: 'job', value: 'api' }],
+        samples: [{ value: 1, timestamp: 1000 }, { value: 0, timestamp: 2000 }]
+      },
+      { labels: [{ name: '__tenant__', value: 'a' }], samples: [{ value: 5, timestamp: 1000 }] }
+    ]));
+
+    const [up, unnamed] = await new Prometheus(service).createReader().remoteRead({ start: 0, end: 3000, matchers: { job: 'api' } });
+    assert.ok(up instanceof Metric);
+    assert.strictEqual(up.name, 'up');
+    assert.deepStrictEqual(up.labels, { job: 'api' });
+    assert.deepStrictEqual(up.samples.map(sample => [sample.value, sample.timestamp]), [[1, 1000], [0, 2000]]);
+    // Series are kept as stored, even with reserved labels and no name.
+    assert.strictEqual(unnamed.name, '');
+    assert.deepStrictEqual(unnamed.labels, { __tenant__: 'a' });
+  });
+
+  it('rejects invalid queries before sending them', async () => {
+    const service = recordingService();
+    const reader = new Prometheus(service).createReader();
+    await assert.rejects(reader.remoteRead({ start: '0', end: 1, matchers: {} }), /start and end must be numbers/);
+    await assert.rejects(reader.remoteRead({ start: 0, end: 1 }), /matchers parameter is required/);
+    await assert.rejects(reader.remoteRead({ start: 0, end: 1, matchers: [{ name: 'a', value: 'b', type: '==' }] }), QrynError);
+    assert.strictEqual(service.requests.length, 0);
+  });
+});
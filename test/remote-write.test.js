@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Prometheus = require('../src/clients/prometheus');
+const Protobuff = require('../src/services/protobuff');
+const { Metric, Histogram } = require('../src/models');
+const { recordingService } = require('./helpers');
+
+describe('Prometheus remote write', () => {
+  const protobuf = new Protobuff();
+  const decode = async (type, request) => type.toObject(
+    type.decode(await protobuf.decompressBuffer(request.body)),
+    { longs: Number, enums: String, defaults: false }
+  );
+
+  it('sends exemplars and the metadata of each family once', async () => {
+    const service = recordingService();
+    const get = new Metric('http_requests_total', { method: 'GET' }, { type: 'counter', help: 'Requests', unit: 'requests' });
+    const post = new Metric('http_requests_total', { method: 'POST' }, { type: 'counter', help: 'Requests', unit: 'requests' });
+    get.addSample(1, 1000);
+    get.addExemplar({ value: 1, timestamp: 1000, traceId: 'abc', spanId: 'def' });
+    post.addSample(2, 1000);
+
+    await new Prometheus(service).push([get, post]);
+    const [request] = service.requests;
+    assert.strictEqual(request.headers['X-Prometheus-Remote-Write-Version'], '0.1.0');
+    const { timeseries, metadata } = await decode(protobuf.WriteRequest, request);
+    assert.deepStrictEqual(metadata, [{ type: 'COUNTER', metricFamilyName: 'http_requests_total', help: 'Requests', unit: 'requests' }]);
+    assert.deepStrictEqual(timeseries[0].exemplars, [{
+      labels: [{ name: 'trace_id', value: 'abc' }, { name: 'span_id', value: 'def' }],
+      value: 1,
+      timestamp: 1000
+    }]);
+    assert.strictEqual(timeseries[1].exemplars, undefined);
+  });
+
+  it('sends native histograms with exponential bucket spans', async () => {
+    const service = recordingService();
+    const histogram = new Histogram('latency_seconds', {}, { native: true });
+    [1, 2, 3, 0].forEach(value => histogram.observe(value));
+    histogram.snapshot(1000);
+
+    await new Prometheus(service).push(histogram.series);
+    const [series] = (await decode(protobuf.WriteRequest, service.requests[0])).timeseries;
+    assert.deepStrictEqual(series.labels, [{ name: '__name__', value: 'latency_seconds' }]);
+    const [native] = series.histograms;
+    assert.strictEqual(native.countInt, 4);
+    assert.strictEqual(native.zeroCountInt, 1);
+    assert.strictEqual(native.sum, 6);
+    assert.strictEqual(native.schema, 3);
+    // Buckets 0, 8 and 13: log2(value) * 2^schema, rounded up.
+    assert.deepStrictEqual(native.positiveSpans, [{ offset: 0, length: 1 }, { offset: 7, length: 1 }, { offset: 4, length: 1 }]);
+    assert.deepStrictEqual(native.positiveDeltas, [1, 0, 0]);
+    assert.strictEqual(native.resetHint, 'UNKNOWN');
+  });
+
+  it('references labels and metadata through the 2.0 symbols table', async () => {
+    const service = recordingService();
+    const a = new Metric('up', { job: 'api', instance: 'a' }, { type: 'gauge', help: 'Up' });
+    const b = new Metric('up', { job: 'api', instance: 'b' }, { type: 'gauge', help: 'Up' });
+    a.addSample(1, 1000);
+    b.addSample(0, 1000);
+
+    await new Prometheus(service, { remoteWriteVersion: '2.0' }).push([a, b]);
+    const [request] = service.requests;
+    assert.strictEqual(request.headers['Content-Type'], 'application/x-protobuf;proto=io.prometheus.write.v2.Request');
+    assert.strictEqual(request.headers['X-Prometheus-Remote-Write-Version'], '2.0.0');
+    const { symbols, timeseries } = await decode(protobuf.WriteRequestV2, request);
+    assert.strictEqual(symbols[0], '');
+    assert.strictEqual(new Set(symbols).size, symbols.length);
+
+    const labelsOf = refs => Object.fromEntries(Array.from({ length: refs.length / 2 }, (_, i) => [symbols[refs[2 * i]], symbols[refs[2 * i + 1]]]));
+    assert.deepStrictEqual(Object.keys(labelsOf(timeseries[0].labelsRefs)), ['__name__', 'instance', 'job']);
+    assert.deepStrictEqual(labelsOf(timeseries[1].labelsRefs), { __name__: 'up', instance: 'b', job: 'api' });
+    assert.strictEqual(timeseries[0].metadata.type, 'METRIC_TYPE_GAUGE');
+    assert.strictEqual(symbols[timeseries[1].metadata.helpRef], 'Up');
+    assert.strictEqual(timeseries[0].metadata.helpRef, timeseries[1].metadata.helpRef);
+  });
+});
@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Prometheus = require('../src/clients/prometheus');
+const {
+  QrynResponse,
+  QueryResult,
+  VectorResult,
+  MatrixResult,
+  ScalarResult,
+  StringResult,
+  StreamsResult
+} = require('../src/types');
+const { recordingService } = require('./helpers');
+
+const resultOf = (data, extra = {}) => QueryResult.from(new QrynResponse({ status: 'success', data, ...extra }, 200, {}, '/query'));
+
+describe('Typed query results', () => {
+  it('parses instant vectors with millisecond timestamps and numeric values', () => {
+    const result = resultOf({ resultType: 'vector', result: [{ metric: { job: 'api' }, value: [1700000000.5, '0.25'] }] });
+
+    assert.ok(result instanceof VectorResult);
+    assert.deepStrictEqual(result.series(), [{ labels: { job: 'api' }, samples: [{ timestamp: 1700000000500, value: 0.25 }], histograms: [] }]);
+    assert.deepStrictEqual(result.toRows(), [{ labels: { job: 'api' }, timestamp: 1700000000500, time: new Date(1700000000500), value: 0.25 }]);
+    assert.deepStrictEqual(result.response.data.result[0].value, [1700000000.5, '0.25']);
+  });
+
+  it('parses range vectors with native histograms', () => {
+    const result = resultOf({
+      resultType: 'matrix',
+      result: [{
+        metric: { job: 'api' },
+        values: [[1, '1'], [2, '2']],
+        histograms: [[2, { count: '3', sum: '1.5', buckets: [[0, '0', '1', '3']] }]]
+      }]
+    });
+
+    assert.ok(result instanceof MatrixResult);
+    const [series] = result.series();
+    assert.deepStrictEqual(series.samples, [{ timestamp: 1000, value: 1 }, { timestamp: 2000, value: 2 }]);
+    assert.deepStrictEqual(series.histograms, [{ timestamp: 2000, count: 3, sum: 1.5, buckets: [{ boundaries: 0, lower: 0, upper: 1, count: 3 }] }]);
+    assert.strictEqual(result.toRows().length, 2);
+  });
+
+  it('parses scalars and strings', () => {
+    const scalar = resultOf({ resultType: 'scalar', result: [10, '42'] });
+    assert.ok(scalar instanceof ScalarResult);
+    assert.deepStrictEqual(scalar.value, { timestamp: 10000, value: 42 });
+
+    const string = resultOf({ resultType: 'string', result: [10, 'hello'] });
+    assert.ok(string instanceof StringResult);
+    assert.deepStrictEqual(string.value, { timestamp: 10000, value: 'hello' });
+  });
+
+  it('parses log streams keeping nanosecond precision', () => {
+    const result = resultOf({
+      resultType: 'streams',
+      result: [{ stream: { job: 'api' }, values: [['1700000000123456789', 'hello', { trace_id: 'abc' }], ['1700000000123456790', 'bye']] }],
+      stats: { summary: { totalLinesProcessed: 2 } }
+    });
+
+    assert.ok(result instanceof StreamsResult);
+    const [first, second] = result.toRows();
+    assert.strictEqual(first.timestamp, 1700000000123);
+    assert.strictEqual(first.nanoseconds, '1700000000123456789');
+    assert.deepStrictEqual(first.metadata, { trace_id: 'abc' });
+    assert.deepStrictEqual(second.metadata, {});
+    assert.deepStrictEqual(result.stats, { summary: { totalLinesProcessed: 2 } });
+  });
+
+  it('collects warnings and infos and falls back for unknown bodies', () => {
+    const result = resultOf({ resultType: 'vector', result: [] }, { warnings: ['slow'], infos: ['partial'] });
+    assert.deepStrictEqual(result.warnings, ['slow', 'partial']);
+
+    const unknown = QueryResult.from(new QrynResponse({ status: 'success', data: ['job'] }, 200, {}, '/labels'));
+    assert.strictEqual(unknown.constructor, QueryResult);
+    assert.deepStrictEqual(unknown.series(), []);
+  });
+
+  it('returns typed results from the Prometheus reader', async () => {
+    const service = recordingService(() => ({ status: 'success', data: { resultType: 'vector', result: [] } }));
+    const result = await new Prometheus(service).createReader().query('up');
+    assert.ok(result instanceof VectorResult);
+    assert.ok(result instanceof QrynResponse);
+    assert.strictEqual(result.status, 200);
+  });
+});
@@ -0,0 +1,106 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const Http = require('../src/services/http');
+const RetryPolicy = require('../src/services/retry');
+const { QrynError, NetworkError } = require('../src/types');
+const { mockFetch, jsonResponse } = require('./helpers');
+
+describe('RetryPolicy', () => {
+  it('retries retryable errors up to the attempt limit', async () => {
+    const policy = new RetryPolicy({ attempts: 3, minDelay: 1, jitter: 0 });
+    let attempts = 0;
+    await assert.rejects(policy.execute(async () => {
+      attempts++;
+      throw new QrynError('unavailable', 503);
+    }), { statusCode: 503 });
+    assert.strictEqual(attempts, 3);
+  });
+
+  it('returns the result of a later attempt', async () => {
+    const policy = new RetryPolicy({ attempts: 3, minDelay: 1, jitter: 0 });
+    let attempts = 0;
+    const result = await policy.execute(async () => {
+      if (++attempts === 1) throw new NetworkError('connection reset');
+      return 'ok';
+    });
+    assert.strictEqual(result, 'ok');
+    assert.strictEqual(attempts, 2);
+  });
+
+  it('does not retry client errors', async () => {
+    const policy = new RetryPolicy({ attempts: 3, minDelay: 1 });
+    let attempts = 0;
+    await assert.rejects(policy.execute(async () => {
+      attempts++;
+      throw new QrynError('bad request', 400);
+    }));
+    assert.strictEqual(attempts, 1);
+  });
+
+  it('classifies errors with shouldRetry', () => {
+    const policy = new RetryPolicy({ shouldRetry: error => error.statusCode === 404 });
+    assert.strictEqual(policy.isRetryable(new QrynError('not found', 404)), true);
+    assert.strictEqual(policy.isRetryable(new QrynError('unavailable', 503)), false);
+  });
+
+  it('builds a single attempt policy from false', () => {
+    assert.strictEqual(RetryPolicy.from(false).attempts, 1);
+  });
+
+  it('parses Retry-After in seconds and as an HTTP date', () => {
+    assert.strictEqual(RetryPolicy.parseRetryAfter('2'), 2000);
+    const delay = RetryPolicy.parseRetryAfter(new Date(Date.now() + 60000).toUTCString());
+    assert.ok(delay > 50000 && delay <= 60000);
+    assert.strictEqual(RetryPolicy.parseRetryAfter(null), undefined);
+  });
+
+  it('caps a Retry-After delay at maxDelay', () => {
+    const policy = new RetryPolicy({ maxDelay: 5000 });
+    const error = new QrynError('slow down', 429);
+    error.retryAfter = 86400000;
+    assert.strictEqual(policy.delay(1, error), 5000);
+    error.retryAfter = 2000;
+    assert.strictEqual(policy.delay(1, error), 2000);
+  });
+
+  it('gives up within the default time budget', async () => {
+    const policy = new RetryPolicy({ attempts: 10, maxDelay: Infinity });
+    assert.strictEqual(policy.maxElapsed, 60000);
+    let attempts = 0;
+    const error = new QrynError('slow down', 429);
+    error.retryAfter = 86400000;
+    await assert.rejects(policy.execute(async () => {
+      attempts++;
+      throw error;
+    }), { statusCode: 429 });
+    assert.strictEqual(attempts, 1);
+  });
+});
+
+describe('Http retries', () => {
+  let fetchMock;
+
+  afterEach(() => fetchMock.restore());
+
+  it('throws network failures as NetworkError without a status and retries them', async () => {
+    fetchMock = mockFetch(() => {
+      throw new TypeError('fetch failed');
+    });
+    const http = new Http('http://qryn:3100', 5000, {}, null, { retry: { attempts: 2, minDelay: 1 } });
+
+    await assert.rejects(http.request('/ready'), error => error instanceof NetworkError && error.statusCode === null);
+    assert.strictEqual(fetchMock.calls.length, 2);
+  });
+
+  it('retries 503 responses and not 400 responses', async () => {
+    fetchMock = mockFetch(() => jsonResponse(fetchMock.calls.length === 1 ? 503 : 200));
+    const http = new Http('http://qryn:3100', 5000, {}, null, { retry: { attempts: 3, minDelay: 1 } });
+    await http.request('/ready');
+    assert.strictEqual(fetchMock.calls.length, 2);
+
+    fetchMock.restore();
+    fetchMock = mockFetch(() => jsonResponse(400));
+    await assert.rejects(http.request('/ready'), { statusCode: 400 });
+    assert.strictEqual(fetchMock.calls.length, 1);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { QrynClient, Collector } = require('../src');
+const { QrynError } = require('../src/types');
+
+/**
+ * Create a client whose Loki pushes are handled by `push`, confirming the streams when it resolves.
+ */
+function lokiClient(push = async () => {}) {
+  const client = new QrynClient({});
+  const pushed = [];
+  client.loki.push = async streams => {
+    const collected = streams.map(stream => stream.collect());
+    try {
+      await push();
+    } catch (error) {
+      streams.forEach(stream => stream.undo());
+      throw error;
+    }
+    streams.forEach(stream => stream.confirm());
+    pushed.push(...collected.flatMap(data => data.entries.map(entry => entry.line)));
+  };
+  return { client, pushed };
+}
+
+describe('Collector shutdown', () => {
+  it('flushes pending entries', async () => {
+    const { client, pushed } = lokiClient();
+    const collector = new Collector(client);
+    collector.createStream({ job: 'api' }).addEntry(Date.now(), 'flushed');
+
+    await collector.flush();
+    assert.deepStrictEqual(pushed, ['flushed']);
+    assert.strictEqual(collector.total, 0);
+    await collector.close();
+  });
+
+  it('keeps entries pending when the flush fails', async () => {
+    const { client } = lokiClient(async () => {
+      throw new QrynError('unavailable', 503);
+    });
+    const collector = new Collector(client, { retry: false });
+    collector.on('error', () => {});
+    collector.createStream({ job: 'api' }).addEntry(Date.now(), 'kept');
+
+    await assert.rejects(collector.flush(), /1 items are still pending/);
+    assert.strictEqual(collector.total, 1);
+  });
+
+  it('rejects writes once closed and closes once', async () => {
+    const { client, pushed } = lokiClient();
+    const collector = new Collector(client);
+    const stream = collector.createStream({ job: 'api' });
+    stream.addEntry(Date.now(), 'last');
+    let closes = 0;
+    collector.on('close', () => closes++);
+
+    const closing = collector.close();
+    assert.strictEqual(collector.close(), closing);
+    await closing;
+    assert.strictEqual(closes, 1);
+    assert.deepStrictEqual(pushed, ['last']);
+    assert.strictEqual(collector.closed, true);
+    assert.throws(() => collector.createStream({ job: 'web' }), /Collector is closed/);
+    assert.throws(() => stream.addEntry(Date.now(), 'late'), /Stream is closed/);
+  });
+
+  it('gives up on the final flush after timeoutMs', async () => {
+    const { client } = lokiClient(() => new Promise(() => {}));
+    const collector = new Collector(client, { retry: false });
+    collector.createStream({ job: 'api' }).addEntry(Date.now(), 'stuck');
+
+    await assert.rejects(collector.close({ timeoutMs: 20 }), /timed out after 20ms/);
+  });
+
+  it('listens for SIGTERM until closed when handleShutdown is set', async () => {
+    const listeners = process.listenerCount('SIGTERM');
+    const { client } = lokiClient();
+    const collector = new Collector(client, { handleShutdown: true });
+    assert.strictEqual(process.listenerCount('SIGTERM'), listeners + 1);
+
+    await collector.close();
+    assert.strictEqual(process.listenerCount('SIGTERM'), listeners);
+  });
+});
@@ -0,0 +1,52 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const Loki = require('../src/clients/loki');
+const { Stream } = require('../src/models');
+const { recordingService } = require('./helpers');
+
+const timestampOf = value => {
+  const stream = new Stream({ job: 'api' });
+  stream.addEntry(value, 'line');
+  return stream.entries[0].ts;
+};
+
+describe('Stream entries', () => {
+  it('stores timestamps as nanosecond strings', () => {
+    assert.strictEqual(timestampOf(1700000000123), '1700000000123000000');
+    assert.strictEqual(timestampOf(1700000000123.5), '1700000000123500000');
+    assert.strictEqual(timestampOf(new Date(1700000000123)), '1700000000123000000');
+    assert.strictEqual(timestampOf('2023-11-14T22:13:20.123Z'), '1700000000123000000');
+    assert.strictEqual(timestampOf(1700000000123456789n), '1700000000123456789');
+    assert.strictEqual(timestampOf('1700000000123456789'), '1700000000123456789');
+    assert.strictEqual(timestampOf([1700000000, 123456789]), '1700000000123456789');
+  });
+
+  it('rejects process.hrtime() values and invalid timestamps', () => {
+    assert.throws(() => timestampOf(process.hrtime()), /process.hrtime\(\) values must be converted/);
+    assert.throws(() => timestampOf('yesterday'), /Invalid timestamp/);
+  });
+
+  it('keeps structured metadata per entry and sanitizes its names', () => {
+    const stream = new Stream({ job: 'api' });
+    stream.addEntry(1000, 'with metadata', { 'trace.id': 'abc' });
+    stream.addEntry(1000, 'without metadata', {});
+
+    assert.deepStrictEqual(stream.entries.map(entry => entry.metadata), [{ trace_id: 'abc' }, undefined]);
+  });
+
+  it('pushes metadata as the third value of an entry', async () => {
+    const service = recordingService();
+    const stream = new Stream({ job: 'api' });
+    stream.addEntry(1700000000123456789n, 'with metadata', { trace_id: 'abc' });
+    stream.addEntry(1700000000123456790n, 'without metadata');
+
+    await new Loki(service).push([stream]);
+    assert.deepStrictEqual(JSON.parse(service.requests[0].body).streams, [{
+      stream: { job: 'api' },
+      values: [
+        ['1700000000123456789', 'with metadata', { trace_id: 'abc' }],
+        ['1700000000123456790', 'without metadata']
+      ]
+    }]);
+  });
+});
@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const EventEmitter = require('events');
+const Loki = require('../src/clients/loki');
+const { QrynError } = require('../src/types');
+
+class FakeSocket extends EventEmitter {
+  terminate() {
+    this.emit('close');
+  }
+
+  send(streams) {
+    this.emit('message', Buffer.from(JSON.stringify({ streams })));
+  }
+
+  fail(message) {
+    this.emit('error', new Error(message));
+    this.emit('close');
+  }
+}
+
+/**
+ * Create a stand-in for the Http service whose WebSockets are driven by the test.
+ * Set `refuse` to an error message to fail the next connections.
+ */
+function socketService() {
+  const sockets = [];
+  const paths = [];
+  const service = {
+    sockets,
+    paths,
+    refuse: null,
+    websocket: async path => {
+      paths.push(path);
+      if (service.refuse) throw new Error(service.refuse);
+      const socket = new FakeSocket();
+      sockets.push(socket);
+      setImmediate(() => socket.emit('open'));
+      return socket;
+    }
+  };
+  return service;
+}
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve));
+
+describe('Loki tail', () => {
+  it('yields entries and resumes after the last one on reconnect', async () => {
+    const service = socketService();
+    const tail = new Loki(service, { orgId: 'tenant' }).tail('{job="api"}', { reconnectDelay: 1 });
+    await nextTick();
+    const iterator = tail[Symbol.asyncIterator]();
+
+    service.sockets[0].send([{ stream: { job: 'api' }, values: [['1700000000000000005', 'first']] }]);
+    assert.deepStrictEqual((await iterator.next()).value, { labels: { job: 'api' }, timestamp: '1700000000000000005', line: 'first' });
+
+    service.sockets[0].fail('connection reset');
+    await new Promise(resolve => tail.once('open', resolve));
+    assert.strictEqual(new URLSearchParams(service.paths[1].split('?')[1]).get('start'), '1700000000000000006');
+
+    await iterator.return();
+    assert.strictEqual(tail.closed, true);
+  });
+
+  it('rejects the pending read once the reconnect attempts are exhausted', async () => {
+    const service = socketService();
+    const tail = new Loki(service).tail('{job="api"}', { reconnectAttempts: 1, reconnectDelay: 1 });
+    await nextTick();
+
+    const reading = (async () => {
+      for await (const entry of tail) assert.fail(`unexpected entry ${entry.line}`);
+    })();
+    service.refuse = 'connection refused';
+    service.sockets[0].fail('connection reset');
+
+    await assert.rejects(reading, error => error instanceof QrynError && /connection refused/.test(error.message));
+    assert.strictEqual(tail.closed, true);
+    assert.match(tail.error.message, /connection refused/);
+  });
+
+  it('emits error only to its listeners', async () => {
+    const service = socketService();
+    const tail = new Loki(service).tail('{job="api"}', { reconnectAttempts: 0 });
+    await nextTick();
+    const errors = [];
+    tail.on('error', error => errors.push(error));
+    const closed = new Promise(resolve => tail.once('close', resolve));
+
+    service.sockets[0].fail('connection reset');
+    await closed;
+    assert.strictEqual(errors.length, 1);
+
+    const silent = new Loki(service).tail('{job="api"}', { reconnectAttempts: 0 });
+    await nextTick();
+    assert.doesNotThrow(() => service.sockets[1].fail('connection reset'));
+    assert.strictEqual(silent.closed, true);
+  });
+});
@@ -0,0 +1,194 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const TempoClient = require('../src/clients/tempo');
+const Protobuff = require('../src/services/protobuff');
+const { Trace, Span } = require('../src/models');
+const { QrynClient, Collector } = require('../src');
+const { QrynError, TraceSearchResult, TraceResult } = require('../src/types');
+const { tracesRequest } = require('../src/utils/otlp');
+const { recordingService } = require('./helpers');
+
+describe('Tempo push', () => {
+  const endedTrace = () => {
+    const trace = new Trace({ serviceName: 'api' });
+    trace.createSpan('GET /users', { kind: 'server', attributes: { 'http.status_code': 200 }, startTime: 1700000000000 })
+      .end(1700000000250);
+    return trace;
+  };
+
+  it('sends ended spans as OTLP JSON grouped by service', async () => {
+    const service = recordingService();
+    const trace = endedTrace();
+
+    await new TempoClient(service).push([trace]);
+    const [request] = service.requests;
+    assert.strictEqual(request.path, '/v1/traces');
+    const [resourceSpans] = JSON.parse(request.body).resourceSpans;
+    assert.deepStrictEqual(resourceSpans.resource.attributes, [{ key: 'service.name', value: { stringValue: 'api' } }]);
+    const [span] = resourceSpans.scopeSpans[0].spans;
+    assert.strictEqual(span.traceId, trace.traceId);
+    assert.strictEqual(span.kind, 2);
+    assert.strictEqual(span.startTimeUnixNano, '1700000000000000000');
+    assert.strictEqual(span.endTimeUnixNano, '1700000000250000000');
+    assert.deepStrictEqual(span.attributes, [{ key: 'http.status_code', value: { intValue: 200 } }]);
+    assert.strictEqual(trace.pendingItems, 0);
+  });
+
+  it('sends Zipkin v2 spans with microsecond timestamps', async () => {
+    const service = recordingService();
+    await new TempoClient(service).push([endedTrace()], { format: 'zipkin' });
+
+    const [request] = service.requests;
+    assert.strictEqual(request.path, '/tempo/api/push');
+    const [span] = JSON.parse(request.body);
+    assert.strictEqual(span.timestamp, 1700000000000000);
+    assert.strictEqual(span.duration, 250000);
+    assert.strictEqual(span.kind, 'SERVER');
+    assert.deepStrictEqual(span.localEndpoint, { serviceName: 'api' });
+  });
+
+  it('keeps the spans pending when encoding fails', async () => {
+    const service = recordingService();
+    const tempo = new TempoClient(service, { protocol: 'otlp' });
+    tempo.protobufHandler = Object.create(tempo.protobufHandler, {
+      encodeTraceRequest: { value: () => { throw new Error('encoding failed'); } }
+    });
+    const trace = endedTrace();
+
+    await assert.rejects(tempo.push([trace]), error => error instanceof QrynError && /encoding failed/.test(error.message));
+    assert.strictEqual(service.requests.length, 0);
+    assert.strictEqual(trace.spans.length, 1);
+  });
+
+  it('keeps the spans pending when the push fails', async () => {
+    const service = recordingService(() => {
+      throw new QrynError('unavailable', 503);
+    });
+    const trace = endedTrace();
+
+    await assert.rejects(new TempoClient(service).push([trace]), { statusCode: 503 });
+    assert.strictEqual(trace.spans.length, 1);
+  });
+});
+
+describe('Trace', () => {
+  it('counts queued and open spans as pending', () => {
+    const trace = new Trace();
+    const span = trace.createSpan('work');
+    assert.strictEqual(trace.pendingItems, 1);
+    assert.strictEqual(trace.spans.length, 0);
+
+    span.end();
+    assert.strictEqual(trace.spans.length, 1);
+    trace.collect();
+    assert.strictEqual(trace.pendingItems, 1);
+    trace.confirm();
+    assert.strictEqual(trace.pendingItems, 0);
+  });
+
+  it('drops spans that end after close', () => {
+    const trace = new Trace();
+    const span = trace.createSpan('work');
+    trace.close();
+
+    assert.doesNotThrow(() => span.end());
+    assert.strictEqual(trace.spans.length, 0);
+    assert.throws(() => trace.addSpan(new Span('late', { traceId: trace.traceId })), /closed/);
+  });
+
+  it('is kept by the collector when evicted with unsent spans', async () => {
+    const client = new QrynClient({});
+    const pushed = [];
+    client.tempo.push = async traces => {
+      for (const trace of traces) pushed.push(...trace.collect().map(span => span.name));
+      traces.forEach(trace => trace.confirm());
+    };
+    const collector = new Collector(client, { cache: { max: 1 } });
+    collector.createSpan({ name: 'first' }).end();
+    collector.createSpan({ name: 'second' }).end();
+    await collector.close();
+
+    assert.deepStrictEqual(pushed.sort(), ['first', 'second']);
+  });
+});
+
+describe('Tempo read', () => {
+  const endedTrace = () => {
+    const trace = new Trace({ serviceName: 'api' });
+    const span = trace.createSpan('GET /users', { attributes: { 'http.status_code': 500 }, startTime: 1700000000000 });
+    span.addEvent('retry', { attempt: 2 }, 1700000000100);
+    span.end(1700000000250);
+    return trace;
+  };
+
+  it('searches with TraceQL, logfmt tags and second timestamps', async () => {
+    const service = recordingService(() => ({
+      traces: [{ traceID: 'abc', rootServiceName: 'api', rootTraceName: 'GET /users', startTimeUnixNano: '1700000000000000000', durationMs: 250 }]
+    }));
+    const reader = new TempoClient(service, { orgId: 'tenant' }).createReader();
+
+    const result = await reader.search({
+      q: '{ resource.service.name = "api" }',
+      tags: { 'http.status_code': 500, route: '/users list' },
+      minDuration: 100,
+      start: new Date(1700000000500),
+      end: 1700000060
+    });
+    const params = new URLSearchParams(service.requests[0].path.split('?')[1]);
+    assert.strictEqual(params.get('q'), '{ resource.service.name = "api" }');
+    assert.strictEqual(params.get('tags'), 'http.status_code=500 route="/users list"');
+    assert.strictEqual(params.get('minDuration'), '100ms');
+    assert.strictEqual(params.get('start'), '1700000000');
+    assert.strictEqual(params.get('end'), '1700000060');
+    assert.strictEqual(service.requests[0].headers['X-Scope-OrgID'], 'tenant');
+
+    assert.ok(result instanceof TraceSearchResult);
+    assert.deepStrictEqual(result.toRows()[0].time, new Date(1700000000000));
+    assert.strictEqual(result.series()[0].duration, 250);
+  });
+
+  it('retrieves tags and tag values', async () => {
+    const service = recordingService(() => ({ tagValues: [] }));
+    const reader = new TempoClient(service).createReader();
+    await reader.tags();
+    await reader.tagValues('service.name', { start: 1700000000 });
+    await reader.tagValuesV2('span.http.method', { q: '{ span.http.status_code = 500 }' });
+
+    assert.deepStrictEqual(service.requests.map(request => request.path.split('?')[0]), [
+      '/api/search/tags',
+      '/api/search/tag/service.name/values',
+      '/api/v2/search/tag/span.http.method/values'
+    ]);
+  });
+
+  it('retrieves a trace as JSON or protobuf', async () => {
+    const trace = endedTrace();
+    const json = JSON.parse(JSON.stringify(tracesRequest(trace.spans)));
+    const protobuf = new Protobuff();
+    const buffer = Buffer.from(protobuf.encodeTraceRequest(tracesRequest(trace.spans)));
+
+    for (const format of ['json', 'protobuf']) {
+      const service = recordingService(() => (format === 'json' ? { batches: json.resourceSpans } : buffer));
+      const result = await new TempoClient(service).createReader().getTrace(trace.traceId.toUpperCase(), { format });
+
+      assert.ok(result instanceof TraceResult, format);
+      assert.strictEqual(service.requests[0].path.split('?')[0], `/api/traces/${trace.traceId}`);
+      const [span] = result.series();
+      assert.strictEqual(span.traceId, trace.traceId, format);
+      assert.strictEqual(span.serviceName, 'api');
+      assert.strictEqual(span.duration, 250);
+      assert.deepStrictEqual(span.attributes, { 'http.status_code': 500 });
+      assert.deepStrictEqual(span.events, [{ name: 'retry', timestamp: 1700000000100, attributes: { attempt: 2 } }]);
+    }
+  });
+
+  it('rejects invalid trace IDs and passes on not found errors', async () => {
+    const service = recordingService(() => {
+      throw new QrynError('HTTP error! status: 404', 404);
+    });
+    const reader = new TempoClient(service).createReader();
+    await assert.rejects(reader.getTrace('not-a-trace-id'), /Invalid trace ID/);
+    await assert.rejects(reader.getTrace('abc', { format: 'xml' }), /Unknown trace format/);
+    await assert.rejects(reader.getTrace('abc'), { statusCode: 404 });
+  });
+});
@@ -0,0 +1,66 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const { QrynClient, Collector, Stream, QrynError } = require('../src');
+const { mockFetch, jsonResponse } = require('./helpers');
+
+const tenantsOf = calls => calls.map(call => call.headers['X-Scope-OrgID']);
+
+describe('Multi-tenancy', () => {
+  let fetchMock;
+
+  afterEach(() => fetchMock.restore());
+
+  const stream = line => {
+    const created = new Stream({ job: 'api' });
+    created.addEntry(Date.now(), line);
+    return created;
+  };
+
+  it('scopes a client view to a tenant and shares its services', async () => {
+    fetchMock = mockFetch(() => jsonResponse(200, { status: 'success', data: { resultType: 'vector', result: [] } }));
+    const client = new QrynClient({ baseUrl: 'http://qryn:3100', orgId: 'default' });
+    const acme = client.forTenant('acme');
+
+    await acme.loki.push([stream('acme')]);
+    await acme.prom.createReader().query('up');
+    await client.loki.push([stream('default')]);
+    assert.deepStrictEqual(tenantsOf(fetchMock.calls), ['acme', 'acme', 'default']);
+
+    assert.strictEqual(acme.loki.service, client.loki.service);
+    assert.strictEqual(acme.prom.protobufHandler, client.prom.protobufHandler);
+    assert.strictEqual(client.orgId, 'default');
+    assert.throws(() => client.forTenant(''), QrynError);
+  });
+
+  it('lets a single call choose its tenant', async () => {
+    fetchMock = mockFetch(() => jsonResponse(204));
+    const acme = new QrynClient({ baseUrl: 'http://qryn:3100' }).forTenant('acme');
+
+    await acme.loki.push([stream('other')], { orgId: 'other' });
+    assert.deepStrictEqual(tenantsOf(fetchMock.calls), ['other']);
+  });
+
+  it('routes collector data by the tenant label', async () => {
+    fetchMock = mockFetch((url, options, call) => {
+      call.lines = JSON.parse(options.body).streams.flatMap(s => s.values.map(value => value[1]));
+      return jsonResponse(204);
+    });
+    const collector = new Collector(new QrynClient({ baseUrl: 'http://qryn:3100' }), { orgId: 'shared', tenantLabel: 'tenant' });
+    collector.createStream({ job: 'api', tenant: 'a' }).addEntry(Date.now(), 'for a');
+    collector.createStream({ job: 'api', tenant: 'b' }).addEntry(Date.now(), 'for b');
+    collector.createStream({ job: 'api' }).addEntry(Date.now(), 'for shared');
+    await collector.close();
+
+    const byTenant = Object.fromEntries(fetchMock.calls.map(call => [call.headers['X-Scope-OrgID'], call.lines]));
+    assert.deepStrictEqual(byTenant, { a: ['for a'], b: ['for b'], shared: ['for shared'] });
+  });
+
+  it('creates collectors that push as the tenant of the view', async () => {
+    fetchMock = mockFetch(() => jsonResponse(204));
+    const collector = new QrynClient({ baseUrl: 'http://qryn:3100' }).forTenant('acme').createCollector();
+    collector.createStream({ job: 'api' }).addEntry(Date.now(), 'line');
+    await collector.close();
+
+    assert.deepStrictEqual(tenantsOf(fetchMock.calls), ['acme']);
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const WriteAheadLog = require('../src/utils/wal');
+const { tempDir } = require('./helpers');
+
+describe('WriteAheadLog', () => {
+  const dirs = [];
+  const newDir = () => {
+    const dir = tempDir();
+    dirs.push(dir);
+    return dir;
+  };
+
+  afterEach(() => {
+    dirs.splice(0).forEach(dir => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  it('replays the records left by a previous instance', () => {
+    const dir = newDir();
+    const wal = new WriteAheadLog({ dir });
+    wal.append({ type: 'entry', line: 'a' });
+    wal.append({ type: 'entry', line: 'b' });
+    wal.close();
+
+    assert.deepStrictEqual(new WriteAheadLog({ dir }).replay(), [
+      { type: 'entry', line: 'a' },
+      { type: 'entry', line: 'b' }
+    ]);
+  });
+
+  it('skips a partially written last line', () => {
+    const dir = newDir();
+    fs.writeFileSync(path.join(dir, 'wal-0000000001.log'), '{"line":"a"}\n{"line":');
+
+    assert.deepStrictEqual(new WriteAheadLog({ dir }).replay(), [{ line: 'a' }]);
+  });
+
+  it('buffers appends until a flush', () => {
+    const dir = newDir();
+    const wal = new WriteAheadLog({ dir, flushInterval: 60000 });
+    wal.append({ line: 'a' });
+    assert.deepStrictEqual(fs.readdirSync(dir), []);
+    assert.ok(wal.bytes > 0);
+
+    wal.flush();
+    assert.strictEqual(fs.readdirSync(dir).length, 1);
+    wal.close();
+  });
+
+  it('writes once the buffer reaches flushBytes', () => {
+    const dir = newDir();
+    const wal = new WriteAheadLog({ dir, flushInterval: 60000, flushBytes: 1 });
+    wal.append({ line: 'a' });
+    assert.strictEqual(fs.readdirSync(dir).length, 1);
+    wal.close();
+  });
+
+  it('deletes claimed segments on truncate and keeps newer ones', () => {
+    const dir = newDir();
+    const wal = new WriteAheadLog({ dir });
+    wal.append({ line: 'a' });
+    const checkpoint = wal.checkpoint();
+    wal.append({ line: 'b' });
+    wal.truncate(checkpoint);
+    wal.close();
+
+    assert.deepStrictEqual(new WriteAheadLog({ dir }).replay(), [{ line: 'b' }]);
+  });
+
+  it('hands segments back on release so the next checkpoint claims them', () => {
+    const dir = newDir();
+    const wal = new WriteAheadLog({ dir });
+    wal.append({ line: 'a' });
+    const first = wal.checkpoint();
+    assert.deepStrictEqual(wal.checkpoint(), []);
+
+    wal.release(first);
+    assert.deepStrictEqual(wal.checkpoint(), first);
+    wal.close();
+  });
+
+  it('drops the oldest unclaimed segments beyond maxBytes', () => {
+    const dir = newDir();
+    const wal = new WriteAheadLog({ dir, maxBytes: 40 });
+    wal.append({ line: 'first' });
+    wal.release(wal.checkpoint());
+    const dropped = wal.append({ line: 'second-record' });
+    wal.close();
+
+    assert.ok(dropped > 0);
+    assert.deepStrictEqual(new WriteAheadLog({ dir }).replay(), [{ line: 'second-record' }]);
+  });
+
+  it('rotates the active segment so it stays within maxBytes', () => {
+    const dir = newDir();
+    const wal = new WriteAheadLog({ dir, maxBytes: 100 });
+    for (let i = 0; i < 20; i++) wal.append({ line: `record ${i}` });
+    wal.close();
+
+    assert.ok(wal.bytes <= 100);
+    const records = new WriteAheadLog({ dir }).replay();
+    assert.deepStrictEqual(records[records.length - 1], { line: 'record 19' });
+  });
+
+  it('drops claimed segments last', () => {
+    const dir = newDir();
+    const wal = new WriteAheadLog({ dir, maxBytes: 40 });
+    wal.append({ line: 'claimed' });
+    const checkpoint = wal.checkpoint();
+    const dropped = wal.append({ line: 'second-record' });
+
+    assert.ok(dropped > 0);
+    assert.ok(wal.bytes <= 40);
+    wal.truncate(checkpoint);
+    wal.close();
+    assert.deepStrictEqual(new WriteAheadLog({ dir }).replay(), [{ line: 'second-record' }]);
+  });
+});